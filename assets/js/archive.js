@@ -0,0 +1,2137 @@
+/**
+ * Folder Zipper Archive Builder
+ * Shared by the page and the zip worker. Archives are built with JSZip, with
+ * a small ZIP writer for features JSZip does not offer (encryption and
+ * streaming), or as tar / tar.gz files, optionally with embedded checksum
+ * manifests.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Supported archive output formats.
+ * Zstandard (tar.zst) is not offered: browsers have no native encoder for it.
+ * @type {Object}
+ */
+const ARCHIVE_FORMATS = {
+    zip: { label: 'ZIP', extension: '.zip', mimeType: 'application/zip' },
+    tar: { label: 'TAR', extension: '.tar', mimeType: 'application/x-tar' },
+    'tar.gz': { label: 'TAR.GZ', extension: '.tar.gz', mimeType: 'application/gzip' }
+};
+
+/**
+ * Supported encryption methods
+ * @type {Object}
+ */
+const ENCRYPTION_METHODS = {
+    AES: 'AES',
+    ZIP_CRYPTO: 'ZIP_CRYPTO'
+};
+
+/**
+ * ZIP format constants
+ * @type {Object}
+ */
+const ZIP_FORMAT = {
+    LOCAL_HEADER_SIGNATURE: 0x04034b50,
+    CENTRAL_HEADER_SIGNATURE: 0x02014b50,
+    END_OF_CENTRAL_DIRECTORY_SIGNATURE: 0x06054b50,
+    DATA_DESCRIPTOR_SIGNATURE: 0x08074b50,
+    ZIP64_END_SIGNATURE: 0x06064b50,
+    ZIP64_LOCATOR_SIGNATURE: 0x07064b50,
+    ZIP64_EXTRA_FIELD_ID: 0x0001,
+    EXTENDED_TIMESTAMP_FIELD_ID: 0x5455,
+    UNICODE_PATH_FIELD_ID: 0x7075,
+    END_RECORD_SIZE: 22,
+    METHOD_STORE: 0,
+    METHOD_DEFLATE: 8,
+    METHOD_AES: 99,
+    FLAG_ENCRYPTED: 0x0001,
+    FLAG_DATA_DESCRIPTOR: 0x0008,
+    FLAG_UTF8: 0x0800,
+    VERSION_DEFAULT: 20,
+    VERSION_ZIP64: 45,
+    VERSION_AES: 51,
+    VERSION_MADE_BY: 63,
+    DOS_DIRECTORY_ATTRIBUTE: 0x10,
+    MADE_BY_UNIX: 0x0300,
+    MADE_BY_VFAT: 0x0e00,
+    MAX_16BIT: 0xffff,
+    MAX_32BIT: 0xffffffff
+};
+
+/**
+ * Streaming writer configuration. Files are read CHUNK_SIZE bytes at a
+ * time; files over ZIP64_ENTRY_SIZE get ZIP64 local headers because deflate
+ * may grow them past 4 GB. Deflated files up to WHOLE_ENTRY_SIZE are
+ * compressed whole by JSZip, so the compression level applies; larger ones
+ * go through the native CompressionStream, which has no level setting.
+ * Archives collected in memory are folded into a Blob every BLOB_PART_SIZE bytes.
+ * @type {Object}
+ */
+const STREAM_WRITER = {
+    CHUNK_SIZE: 1024 * 1024,
+    ZIP64_ENTRY_SIZE: 0xffffffff - 64 * 1024 * 1024,
+    WHOLE_ENTRY_SIZE: 64 * 1024 * 1024,
+    BLOB_PART_SIZE: 16 * 1024 * 1024
+};
+
+/**
+ * Unix permission bits and file type bits recorded for entries
+ * @type {Object}
+ */
+const UNIX_MODES = {
+    FILE: 0o644,
+    DIRECTORY: 0o755,
+    TYPE_FILE: 0o100000,
+    TYPE_DIRECTORY: 0o040000
+};
+
+/**
+ * WinZip AES (AE-1, AES-256) parameters
+ * @type {Object}
+ */
+const AES_CONFIG = {
+    EXTRA_FIELD_ID: 0x9901,
+    VENDOR_VERSION: 1,
+    STRENGTH_256: 3,
+    KEY_LENGTH: 32,
+    SALT_LENGTH: 16,
+    VERIFIER_LENGTH: 2,
+    AUTH_CODE_LENGTH: 10,
+    ITERATIONS: 1000
+};
+
+/**
+ * Names of the manifest files embedded at the archive root
+ * @type {Object}
+ */
+const MANIFEST_FILES = {
+    CHECKSUMS: 'MANIFEST.sha256',
+    JSON: 'manifest.json'
+};
+
+/**
+ * POSIX ustar format constants
+ * @type {Object}
+ */
+const TAR_FORMAT = {
+    BLOCK_SIZE: 512,
+    NAME_LENGTH: 100,
+    PREFIX_LENGTH: 155,
+    TYPE_FILE: '0',
+    TYPE_DIRECTORY: '5',
+    TYPE_PAX_HEADER: 'x',
+    MAX_OCTAL_SIZE: 0o77777777777
+};
+
+// ============================================================================
+// CHECKSUMS
+// ============================================================================
+
+/**
+ * CRC-32 lookup table
+ * @type {Uint32Array}
+ */
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c;
+    }
+    return table;
+})();
+
+/**
+ * Update a raw CRC-32 register with one byte (no pre/post inversion)
+ * @param {number} crc - Current register value
+ * @param {number} byte - Byte to add
+ * @returns {number} - New register value
+ */
+const crc32UpdateByte = (crc, byte) =>
+    (CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)) >>> 0;
+
+/**
+ * Compute the CRC-32 of some bytes
+ * @param {Uint8Array} bytes - Data
+ * @param {number} [crc] - CRC of preceding data, to continue a running checksum
+ * @returns {number} - Unsigned CRC-32
+ */
+const crc32 = (bytes, crc = 0) => {
+    let register = ~crc >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+        register = CRC32_TABLE[(register ^ bytes[i]) & 0xff] ^ (register >>> 8);
+    }
+    return ~register >>> 0;
+};
+
+/**
+ * SHA-256 round constants
+ * @type {Uint32Array}
+ */
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * Split data into the 64 byte blocks of a SHA hash, keeping a partial block
+ * between calls, and add the padding with the big-endian bit length
+ * @param {Function} compress - Called with (bytes, offset) for each full block
+ * @returns {{update: Function, finish: Function}} - update(bytes) adds data,
+ * finish() adds the padding
+ */
+const createHashBlocks = (compress) => {
+    const block = new Uint8Array(64);
+    let blockLength = 0;
+    let totalLength = 0;
+
+    const update = (bytes) => {
+        let offset = 0;
+        totalLength += bytes.length;
+
+        if (blockLength > 0) {
+            const taken = Math.min(64 - blockLength, bytes.length);
+            block.set(bytes.subarray(0, taken), blockLength);
+            blockLength += taken;
+            offset = taken;
+            if (blockLength < 64) return;
+            compress(block, 0);
+            blockLength = 0;
+        }
+        for (; offset + 64 <= bytes.length; offset += 64) {
+            compress(bytes, offset);
+        }
+        block.set(bytes.subarray(offset), 0);
+        blockLength = bytes.length - offset;
+    };
+
+    const finish = () => {
+        const bitLength = totalLength * 8;
+        const padding = new Uint8Array((blockLength < 56 ? 56 : 120) - blockLength + 8);
+        const view = new DataView(padding.buffer);
+        padding[0] = 0x80;
+        view.setUint32(padding.length - 8, Math.floor(bitLength / 0x100000000));
+        view.setUint32(padding.length - 4, bitLength >>> 0);
+        update(padding);
+    };
+
+    return { update, finish };
+};
+
+/**
+ * Read the big-endian words of a 64 byte block
+ * @param {Uint8Array} bytes - Data
+ * @param {number} offset - Offset of the block
+ * @param {Uint32Array} words - Receives the 16 words
+ */
+const readBlockWords = (bytes, offset, words) => {
+    for (let i = 0; i < 16; i++) {
+        const at = offset + i * 4;
+        words[i] = (bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3];
+    }
+};
+
+/**
+ * Start an incremental SHA-256 digest. WebCrypto only hashes whole buffers,
+ * so this is used to hash large blobs one slice at a time.
+ * @returns {{update: Function, digest: Function}} - update(bytes) adds data,
+ * digest() returns the lowercase hex digest
+ */
+const createSha256 = () => {
+    const hash = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const words = new Uint32Array(64);
+
+    const rotate = (value, bits) => (value >>> bits) | (value << (32 - bits));
+
+    const { update, finish } = createHashBlocks((bytes, offset) => {
+        readBlockWords(bytes, offset, words);
+        for (let i = 16; i < 64; i++) {
+            const w15 = words[i - 15];
+            const w2 = words[i - 2];
+            const s0 = rotate(w15, 7) ^ rotate(w15, 18) ^ (w15 >>> 3);
+            const s1 = rotate(w2, 17) ^ rotate(w2, 19) ^ (w2 >>> 10);
+            words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const s1 = rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25);
+            const t1 = (h + s1 + ((e & f) ^ (~e & g)) + SHA256_K[i] + words[i]) | 0;
+            const s0 = rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22);
+            const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+
+        hash[0] += a;
+        hash[1] += b;
+        hash[2] += c;
+        hash[3] += d;
+        hash[4] += e;
+        hash[5] += f;
+        hash[6] += g;
+        hash[7] += h;
+    });
+
+    const digest = () => {
+        finish();
+        return Array.from(hash, word => word.toString(16).padStart(8, '0')).join('');
+    };
+
+    return { update, digest };
+};
+
+/**
+ * Start an incremental SHA-1 digest, for the WinZip AES authentication code
+ * of entries that are encrypted one slice at a time
+ * @returns {{update: Function, digest: Function}} - update(bytes) adds data,
+ * digest() returns the 20 byte digest
+ */
+const createSha1 = () => {
+    const hash = new Uint32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0]);
+    const words = new Uint32Array(80);
+
+    const rotate = (value, bits) => (value << bits) | (value >>> (32 - bits));
+
+    const { update, finish } = createHashBlocks((bytes, offset) => {
+        readBlockWords(bytes, offset, words);
+        for (let i = 16; i < 80; i++) {
+            words[i] = rotate(words[i - 3] ^ words[i - 8] ^ words[i - 14] ^ words[i - 16], 1);
+        }
+
+        let [a, b, c, d, e] = hash;
+        for (let i = 0; i < 80; i++) {
+            let mix;
+            let constant;
+            if (i < 20) {
+                mix = (b & c) | (~b & d);
+                constant = 0x5a827999;
+            } else if (i < 40) {
+                mix = b ^ c ^ d;
+                constant = 0x6ed9eba1;
+            } else if (i < 60) {
+                mix = (b & c) | (b & d) | (c & d);
+                constant = 0x8f1bbcdc;
+            } else {
+                mix = b ^ c ^ d;
+                constant = 0xca62c1d6;
+            }
+
+            const temp = (rotate(a, 5) + mix + e + constant + words[i]) | 0;
+            e = d;
+            d = c;
+            c = rotate(b, 30);
+            b = a;
+            a = temp;
+        }
+
+        hash[0] += a;
+        hash[1] += b;
+        hash[2] += c;
+        hash[3] += d;
+        hash[4] += e;
+    });
+
+    const digest = () => {
+        finish();
+        const bytes = new Uint8Array(20);
+        const view = new DataView(bytes.buffer);
+        hash.forEach((word, index) => view.setUint32(index * 4, word));
+        return bytes;
+    };
+
+    return { update, digest };
+};
+
+/**
+ * Start an incremental HMAC-SHA1. WebCrypto only signs whole buffers.
+ * @param {Uint8Array} key - Key of at most 64 bytes
+ * @returns {{update: Function, digest: Function}} - update(bytes) adds data,
+ * digest() returns the 20 byte code
+ */
+const createHmacSha1 = (key) => {
+    const pad = (value) => {
+        const padded = new Uint8Array(64);
+        padded.set(key);
+        return padded.map(byte => byte ^ value);
+    };
+
+    const inner = createSha1();
+    inner.update(pad(0x36));
+
+    const digest = () => {
+        const outer = createSha1();
+        outer.update(pad(0x5c));
+        outer.update(inner.digest());
+        return outer.digest();
+    };
+
+    return { update: inner.update, digest };
+};
+
+// ============================================================================
+// AES-256 (CTR mode, little-endian counter as used by WinZip AES)
+// ============================================================================
+
+/**
+ * AES S-box and encryption T-tables, derived at load time
+ * @type {{sbox: Uint8Array, te: Uint32Array[]}}
+ */
+const AES_TABLES = (() => {
+    const xtime = (value) => ((value << 1) ^ (value & 0x80 ? 0x11b : 0)) & 0xff;
+    const exp = new Uint8Array(256);
+    const log = new Uint8Array(256);
+
+    // 3 generates the multiplicative group of GF(2^8)
+    for (let i = 0, value = 1; i < 255; i++) {
+        exp[i] = value;
+        log[value] = i;
+        value ^= xtime(value);
+    }
+
+    const sbox = new Uint8Array(256);
+    const rotl8 = (value, shift) => ((value << shift) | (value >>> (8 - shift))) & 0xff;
+    for (let i = 0; i < 256; i++) {
+        const inverse = i === 0 ? 0 : exp[(255 - log[i]) % 255];
+        sbox[i] = inverse ^ rotl8(inverse, 1) ^ rotl8(inverse, 2) ^ rotl8(inverse, 3) ^ rotl8(inverse, 4) ^ 0x63;
+    }
+
+    const te = [0, 1, 2, 3].map(() => new Uint32Array(256));
+    for (let i = 0; i < 256; i++) {
+        const s = sbox[i];
+        const word = ((xtime(s) << 24) | (s << 16) | (s << 8) | (xtime(s) ^ s)) >>> 0;
+        te[0][i] = word;
+        te[1][i] = ((word >>> 8) | (word << 24)) >>> 0;
+        te[2][i] = ((word >>> 16) | (word << 16)) >>> 0;
+        te[3][i] = ((word >>> 24) | (word << 8)) >>> 0;
+    }
+
+    return { sbox, te };
+})();
+
+/**
+ * Expand a 256-bit AES key into round keys
+ * @param {Uint8Array} key - 32 byte key
+ * @returns {Uint32Array} - 60 round key words
+ */
+const expandAesKey = (key) => {
+    const { sbox } = AES_TABLES;
+    const words = new Uint32Array(60);
+    const subWord = (word) =>
+        ((sbox[word >>> 24] << 24) | (sbox[(word >>> 16) & 0xff] << 16) |
+         (sbox[(word >>> 8) & 0xff] << 8) | sbox[word & 0xff]) >>> 0;
+
+    for (let i = 0; i < 8; i++) {
+        words[i] = ((key[4 * i] << 24) | (key[4 * i + 1] << 16) | (key[4 * i + 2] << 8) | key[4 * i + 3]) >>> 0;
+    }
+
+    for (let i = 8, rcon = 1; i < 60; i++) {
+        let temp = words[i - 1];
+        if (i % 8 === 0) {
+            temp = subWord(((temp << 8) | (temp >>> 24)) >>> 0) ^ (rcon << 24);
+            rcon = ((rcon << 1) ^ (rcon & 0x80 ? 0x11b : 0)) & 0xff;
+        } else if (i % 8 === 4) {
+            temp = subWord(temp);
+        }
+        words[i] = (words[i - 8] ^ temp) >>> 0;
+    }
+
+    return words;
+};
+
+/**
+ * Encrypt one block given as four big-endian words
+ * @param {Uint32Array} roundKeys - Expanded key
+ * @param {number[]} input - Four input words
+ * @param {Uint32Array} output - Receives four output words
+ */
+const encryptAesBlock = (roundKeys, input, output) => {
+    const { sbox, te: [te0, te1, te2, te3] } = AES_TABLES;
+    let s0 = input[0] ^ roundKeys[0];
+    let s1 = input[1] ^ roundKeys[1];
+    let s2 = input[2] ^ roundKeys[2];
+    let s3 = input[3] ^ roundKeys[3];
+
+    for (let round = 1; round < 14; round++) {
+        const k = round * 4;
+        const t0 = te0[s0 >>> 24] ^ te1[(s1 >>> 16) & 0xff] ^ te2[(s2 >>> 8) & 0xff] ^ te3[s3 & 0xff] ^ roundKeys[k];
+        const t1 = te0[s1 >>> 24] ^ te1[(s2 >>> 16) & 0xff] ^ te2[(s3 >>> 8) & 0xff] ^ te3[s0 & 0xff] ^ roundKeys[k + 1];
+        const t2 = te0[s2 >>> 24] ^ te1[(s3 >>> 16) & 0xff] ^ te2[(s0 >>> 8) & 0xff] ^ te3[s1 & 0xff] ^ roundKeys[k + 2];
+        const t3 = te0[s3 >>> 24] ^ te1[(s0 >>> 16) & 0xff] ^ te2[(s1 >>> 8) & 0xff] ^ te3[s2 & 0xff] ^ roundKeys[k + 3];
+        s0 = t0;
+        s1 = t1;
+        s2 = t2;
+        s3 = t3;
+    }
+
+    const lastRound = (a, b, c, d, key) =>
+        (((sbox[a >>> 24] << 24) | (sbox[(b >>> 16) & 0xff] << 16) |
+          (sbox[(c >>> 8) & 0xff] << 8) | sbox[d & 0xff]) ^ key) >>> 0;
+
+    output[0] = lastRound(s0, s1, s2, s3, roundKeys[56]);
+    output[1] = lastRound(s1, s2, s3, s0, roundKeys[57]);
+    output[2] = lastRound(s2, s3, s0, s1, roundKeys[58]);
+    output[3] = lastRound(s3, s0, s1, s2, roundKeys[59]);
+};
+
+/**
+ * Start AES-256-CTR encryption with WinZip's little-endian counter starting
+ * at 1. Web Crypto's AES-CTR counts big-endian, so the keystream is produced
+ * here. The keystream carries on from one call to the next, so data can be
+ * encrypted in slices of any length.
+ * @param {Uint8Array} key - 32 byte key
+ * @returns {Function} - Encrypts a Uint8Array in place
+ */
+const createAesCtr = (key) => {
+    const roundKeys = expandAesKey(key);
+    const counter = [0, 0, 0, 0];
+    const keystream = new Uint32Array(4);
+    let block = 0;
+    let used = 16;
+
+    return (data) => {
+        for (let i = 0; i < data.length; i++, used++) {
+            if (used === 16) {
+                // Little-endian block number in the first four counter bytes
+                block++;
+                counter[0] = (((block & 0xff) << 24) | (((block >>> 8) & 0xff) << 16) |
+                              (((block >>> 16) & 0xff) << 8) | (block >>> 24)) >>> 0;
+                encryptAesBlock(roundKeys, counter, keystream);
+                used = 0;
+            }
+            data[i] ^= (keystream[used >> 2] >>> (24 - 8 * (used & 3))) & 0xff;
+        }
+    };
+};
+
+/**
+ * Start encrypting one entry the WinZip AES way:
+ * salt + password verifier + AES-CTR data + 10 byte HMAC-SHA1 code.
+ * The code is computed as the data goes through, so an entry can be
+ * encrypted one slice at a time.
+ * @param {Uint8Array} password - UTF-8 password
+ * @returns {Promise<{header: Uint8Array, encrypt: Function, finish: Function}>} - Header
+ * written before the data, encrypt(chunk) returning encrypted bytes and finish()
+ * returning the bytes written after the data
+ */
+const createWinZipAesEncryptor = async (password) => {
+    const { KEY_LENGTH, SALT_LENGTH, VERIFIER_LENGTH, AUTH_CODE_LENGTH, ITERATIONS } = AES_CONFIG;
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+
+    const baseKey = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+    const derived = new Uint8Array(await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt, iterations: ITERATIONS, hash: 'SHA-1' },
+        baseKey,
+        (KEY_LENGTH * 2 + VERIFIER_LENGTH) * 8
+    ));
+
+    const encryptCtr = createAesCtr(derived.subarray(0, KEY_LENGTH));
+    const hmac = createHmacSha1(derived.subarray(KEY_LENGTH, KEY_LENGTH * 2));
+
+    return {
+        header: concatBytes([salt, derived.slice(KEY_LENGTH * 2)]),
+        encrypt: (chunk) => {
+            const encrypted = chunk.slice();
+            encryptCtr(encrypted);
+            hmac.update(encrypted);
+            return encrypted;
+        },
+        finish: () => hmac.digest().slice(0, AUTH_CODE_LENGTH)
+    };
+};
+
+// ============================================================================
+// ZIPCRYPTO (traditional PKWARE encryption)
+// ============================================================================
+
+/**
+ * Update the three ZipCrypto keys with one plaintext byte
+ * @param {Uint32Array} keys - Key state
+ * @param {number} byte - Plaintext byte
+ */
+const updateZipCryptoKeys = (keys, byte) => {
+    keys[0] = crc32UpdateByte(keys[0], byte);
+    keys[1] = Math.imul(keys[1] + (keys[0] & 0xff), 134775813) + 1;
+    keys[2] = crc32UpdateByte(keys[2], keys[1] >>> 24);
+};
+
+/**
+ * Start encrypting one entry with ZipCrypto. Weak, but opens in every unzip tool.
+ * @param {Uint8Array} password - UTF-8 password
+ * @param {number} checkByte - Last byte of the encryption header, which unzip
+ * tools compare to tell a wrong password
+ * @returns {{header: Uint8Array, encrypt: Function, finish: Function}} - Encrypted
+ * 12 byte header, encrypt(chunk) returning encrypted bytes and finish() returning
+ * the bytes written after the data, which ZipCrypto has none of
+ */
+const createZipCryptoEncryptor = (password, checkByte) => {
+    const keys = new Uint32Array([0x12345678, 0x23456789, 0x34567890]);
+    password.forEach(byte => updateZipCryptoKeys(keys, byte));
+
+    const encrypt = (bytes) => {
+        const output = new Uint8Array(bytes.length);
+        for (let i = 0; i < bytes.length; i++) {
+            const temp = (keys[2] | 2) & 0xffff;
+            output[i] = bytes[i] ^ ((Math.imul(temp, temp ^ 1) >>> 8) & 0xff);
+            updateZipCryptoKeys(keys, bytes[i]);
+        }
+        return output;
+    };
+
+    const header = crypto.getRandomValues(new Uint8Array(12));
+    header[11] = checkByte;
+
+    return { header: encrypt(header), encrypt, finish: () => new Uint8Array(0) };
+};
+
+// ============================================================================
+// ZIP WRITER
+// ============================================================================
+
+/**
+ * Join byte arrays into one
+ * @param {Uint8Array[]} arrays - Arrays in order
+ * @returns {Uint8Array} - Joined bytes
+ */
+const concatBytes = (arrays) => {
+    const joined = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+    arrays.reduce((offset, array) => {
+        joined.set(array, offset);
+        return offset + array.length;
+    }, 0);
+    return joined;
+};
+
+/**
+ * Convert a timestamp to MS-DOS time and date fields
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {{time: number, date: number}} - DOS time and date
+ */
+const toDosDateTime = (timestamp) => {
+    const date = new Date(timestamp);
+    const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+};
+
+/**
+ * Compress entry data whole with JSZip so levels match the in-memory path.
+ * A one-entry archive is generated and its compressed payload read back.
+ * @param {Uint8Array} bytes - Uncompressed data
+ * @param {Object} options - JSZip per-file options
+ * @returns {Promise<{method: number, crc: number, data: Uint8Array}>}
+ */
+const compressEntryData = async (bytes, options = {}) => {
+    if (options.compression !== 'DEFLATE') {
+        return { method: ZIP_FORMAT.METHOD_STORE, crc: crc32(bytes), data: bytes };
+    }
+
+    const zip = new JSZip();
+    zip.file('entry', bytes, options);
+    const archive = await zip.generateAsync({ type: 'uint8array' });
+    const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+    const dataStart = 30 + view.getUint16(26, true) + view.getUint16(28, true);
+
+    // JSZip may still store some entries (e.g. empty files), so read the method back
+    return {
+        method: view.getUint16(8, true),
+        crc: view.getUint32(14, true),
+        data: archive.subarray(dataStart, dataStart + view.getUint32(18, true))
+    };
+};
+
+/**
+ * Build the WinZip AES extra field
+ * @param {number} method - Actual compression method
+ * @returns {Uint8Array} - Extra field bytes
+ */
+const createAesExtraField = (method) => {
+    const extra = new Uint8Array(11);
+    const view = new DataView(extra.buffer);
+    view.setUint16(0, AES_CONFIG.EXTRA_FIELD_ID, true);
+    view.setUint16(2, 7, true);
+    view.setUint16(4, AES_CONFIG.VENDOR_VERSION, true);
+    extra[6] = 0x41; // 'A'
+    extra[7] = 0x45; // 'E'
+    extra[8] = AES_CONFIG.STRENGTH_256;
+    view.setUint16(9, method, true);
+    return extra;
+};
+
+/**
+ * Create a local file header or central directory record
+ * @param {Object} entry - Written entry
+ * @param {boolean} central - True for a central directory record
+ * @returns {Uint8Array} - Header bytes including name and extra field
+ */
+const createZipHeader = (entry, central) => {
+    const fixedLength = central ? 46 : 30;
+    const comment = central && entry.comment || new Uint8Array(0);
+    const header = new Uint8Array(fixedLength + entry.name.length + entry.extra.length + comment.length);
+    const view = new DataView(header.buffer);
+    let offset = 0;
+
+    const write16 = (value) => { view.setUint16(offset, value, true); offset += 2; };
+    const write32 = (value) => { view.setUint32(offset, value, true); offset += 4; };
+
+    write32(central ? ZIP_FORMAT.CENTRAL_HEADER_SIGNATURE : ZIP_FORMAT.LOCAL_HEADER_SIGNATURE);
+    if (central) write16(entry.versionMadeBy ?? entry.versionNeeded);
+    write16(entry.versionNeeded);
+    write16(entry.flags);
+    write16(entry.method);
+    write16(entry.dosTime);
+    write16(entry.dosDate);
+    write32(entry.crc);
+    write32(entry.compressedSize);
+    write32(entry.size);
+    write16(entry.name.length);
+    write16(entry.extra.length);
+
+    if (central) {
+        write16(comment.length);
+        write16(0); // disk number
+        write16(entry.internalAttributes ?? 0);
+        write32(entry.externalAttributes);
+        write32(entry.offset);
+    }
+
+    header.set(entry.name, fixedLength);
+    header.set(entry.extra, fixedLength + entry.name.length);
+    header.set(comment, fixedLength + entry.name.length + entry.extra.length);
+    return header;
+};
+
+/**
+ * Create the end of central directory record
+ * @param {number} count - Number of entries
+ * @param {number} size - Central directory size
+ * @param {number} offset - Central directory offset
+ * @returns {Uint8Array} - Record bytes
+ */
+const createEndOfCentralDirectory = (count, size, offset) => {
+    const record = new Uint8Array(22);
+    const view = new DataView(record.buffer);
+    view.setUint32(0, ZIP_FORMAT.END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+    view.setUint16(8, count, true);
+    view.setUint16(10, count, true);
+    view.setUint32(12, size, true);
+    view.setUint32(16, offset, true);
+    return record;
+};
+
+/**
+ * Create the end records of an archive, with ZIP64 records when the entry
+ * count, directory size or directory offset overflow
+ * @param {number} count - Number of entries
+ * @param {number} size - Central directory size
+ * @param {number} offset - Central directory offset
+ * @returns {Uint8Array[]} - Record bytes in order
+ */
+const createEndRecords = (count, size, offset) => {
+    const endRecord = createEndOfCentralDirectory(
+        Math.min(count, ZIP_FORMAT.MAX_16BIT),
+        Math.min(size, ZIP_FORMAT.MAX_32BIT),
+        Math.min(offset, ZIP_FORMAT.MAX_32BIT)
+    );
+    if (count < ZIP_FORMAT.MAX_16BIT && size < ZIP_FORMAT.MAX_32BIT && offset < ZIP_FORMAT.MAX_32BIT) {
+        return [endRecord];
+    }
+
+    const zip64End = new Uint8Array(56);
+    const endView = new DataView(zip64End.buffer);
+    endView.setUint32(0, ZIP_FORMAT.ZIP64_END_SIGNATURE, true);
+    endView.setBigUint64(4, 44n, true);
+    endView.setUint16(12, ZIP_FORMAT.VERSION_ZIP64, true);
+    endView.setUint16(14, ZIP_FORMAT.VERSION_ZIP64, true);
+    endView.setBigUint64(24, BigInt(count), true);
+    endView.setBigUint64(32, BigInt(count), true);
+    endView.setBigUint64(40, BigInt(size), true);
+    endView.setBigUint64(48, BigInt(offset), true);
+
+    // The locator points at the ZIP64 end record, which follows the central directory
+    const locator = new Uint8Array(20);
+    const locatorView = new DataView(locator.buffer);
+    locatorView.setUint32(0, ZIP_FORMAT.ZIP64_LOCATOR_SIGNATURE, true);
+    locatorView.setBigUint64(8, BigInt(offset + size), true);
+    locatorView.setUint32(16, 1, true);
+
+    return [zip64End, locator, endRecord];
+};
+
+/**
+ * List the directories of an archive, shallowest first: the parents of all
+ * entry paths, plus empty directories and their parents.
+ * A directory is dated by the newest file inside it.
+ * @param {Array<{path: string, file: File}>} entries - Archive entries
+ * @param {string[]} [emptyDirectories] - Paths of directories without files, ending with '/'
+ * @returns {Array<{path: string, lastModified: number}>} - Directory paths ending with '/'
+ */
+const collectDirectoryEntries = (entries, emptyDirectories = []) => {
+    const directories = new Map();
+    const paths = [
+        ...entries.map(({ path, file }) => ({ path, lastModified: file.lastModified || 0 })),
+        ...emptyDirectories.map(path => ({ path, lastModified: 0 }))
+    ];
+
+    paths.forEach(({ path, lastModified }) => {
+        const parts = path.split('/');
+        for (let i = 1; i < parts.length; i++) {
+            const directory = `${parts.slice(0, i).join('/')}/`;
+            directories.set(directory, Math.max(directories.get(directory) || 0, lastModified));
+        }
+    });
+
+    const now = Date.now();
+    return Array.from(directories.keys()).sort().map(path => ({
+        path,
+        lastModified: directories.get(path) || now
+    }));
+};
+
+/**
+ * Get the unix mode of an entry, including its file type bits
+ * @param {boolean} isDirectory - Whether the entry is a directory
+ * @returns {number} - Unix mode
+ */
+const getUnixMode = (isDirectory) => isDirectory
+    ? UNIX_MODES.TYPE_DIRECTORY | UNIX_MODES.DIRECTORY
+    : UNIX_MODES.TYPE_FILE | UNIX_MODES.FILE;
+
+/**
+ * Get the central directory attributes of an entry. Info-ZIP unzip reads the
+ * names of entries made on DOS as OEM code page text despite the UTF-8 flag,
+ * so entries without unix permissions say they were made on Windows VFAT.
+ * @param {boolean} isDirectory - Whether the entry is a directory
+ * @param {boolean} permissions - Whether to record unix permissions
+ * @returns {{versionMadeBy: number, externalAttributes: number}} - Header fields
+ */
+const getEntryAttributes = (isDirectory, permissions) => {
+    const dosAttributes = isDirectory ? ZIP_FORMAT.DOS_DIRECTORY_ATTRIBUTE : 0;
+    if (!permissions) {
+        return { versionMadeBy: ZIP_FORMAT.MADE_BY_VFAT | ZIP_FORMAT.VERSION_MADE_BY, externalAttributes: dosAttributes };
+    }
+
+    // Unix modes live in the high 16 bits when the archive is made by a unix host
+    return {
+        versionMadeBy: ZIP_FORMAT.MADE_BY_UNIX | ZIP_FORMAT.VERSION_MADE_BY,
+        externalAttributes: ((getUnixMode(isDirectory) << 16) | dosAttributes) >>> 0
+    };
+};
+
+/**
+ * Start encrypting one entry
+ * @param {string} method - One of ENCRYPTION_METHODS
+ * @param {Uint8Array} password - UTF-8 password
+ * @param {number} dosTime - DOS time of the entry. Entries with a data descriptor
+ * take the ZipCrypto check byte from it, as their CRC is not known yet.
+ * @returns {Promise<{header: Uint8Array, encrypt: Function, finish: Function}>} - Encryptor
+ */
+const createEntryEncryptor = async (method, password, dosTime) => method === ENCRYPTION_METHODS.AES
+    ? createWinZipAesEncryptor(password)
+    : createZipCryptoEncryptor(password, dosTime >>> 8);
+
+/**
+ * Build a password protected ZIP archive. The streaming writer compresses and
+ * encrypts each file one slice at a time, so large files never have to fit in
+ * memory whole.
+ * @param {Object} payload - Job payload
+ * @param {Array<{path: string, file: File, options: Object}>} payload.entries - Files to add
+ * @param {string[]} [payload.directories] - Empty directories to add
+ * @param {boolean} [payload.permissions] - Whether to record unix permissions
+ * @param {{method: string, password: string}} payload.encryption - Encryption settings
+ * @param {Function} onProgress - Called with (percent, currentFile)
+ * @returns {Promise<Blob>} - The archive
+ */
+const buildEncryptedZip = async (payload, onProgress) => {
+    const output = createBlobWriter();
+    await streamZipArchive(payload, output.write, onProgress);
+    return output.toBlob('application/zip');
+};
+
+// ============================================================================
+// TAR WRITER
+// ============================================================================
+
+/**
+ * Write a string into a header block, truncated to the field length
+ * @param {Uint8Array} block - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @param {string} value - Field value
+ */
+const writeTarField = (block, offset, length, value) => {
+    block.set(new TextEncoder().encode(value).subarray(0, length), offset);
+};
+
+/**
+ * Write a zero padded, NUL terminated octal number into a header block
+ * @param {Uint8Array} block - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length including the terminator
+ * @param {number} value - Field value
+ */
+const writeTarOctal = (block, offset, length, value) => {
+    writeTarField(block, offset, length - 1, value.toString(8).padStart(length - 1, '0'));
+};
+
+/**
+ * Get the UTF-8 byte length of a string
+ * @param {string} value - String to measure
+ * @returns {number} - Length in bytes
+ */
+const byteLength = (value) => new TextEncoder().encode(value).length;
+
+/**
+ * Split a path into the ustar name and prefix fields
+ * @param {string} path - Entry path
+ * @returns {{name: string, prefix: string}|null} - Fields, or null when the path needs a PAX header
+ */
+const splitTarPath = (path) => {
+    if (/[^\x20-\x7e]/.test(path)) return null;
+    if (path.length <= TAR_FORMAT.NAME_LENGTH) return { name: path, prefix: '' };
+
+    // Directory paths keep their trailing slash in the name field
+    for (let i = path.indexOf('/'); i >= 0 && i < path.length - 1; i = path.indexOf('/', i + 1)) {
+        const prefix = path.slice(0, i);
+        const name = path.slice(i + 1);
+        if (prefix.length <= TAR_FORMAT.PREFIX_LENGTH && name.length <= TAR_FORMAT.NAME_LENGTH) {
+            return { name, prefix };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build a 512 byte ustar header block
+ * @param {Object} header - Header fields
+ * @param {string} header.name - Name field
+ * @param {string} [header.prefix] - Prefix field
+ * @param {number} header.size - Data size in bytes
+ * @param {number} header.mode - Permission bits
+ * @param {number} header.mtime - Modification time in seconds since the epoch
+ * @param {string} header.type - Type flag
+ * @returns {Uint8Array} - Header block
+ */
+const createTarHeader = ({ name, prefix = '', size, mode, mtime, type }) => {
+    const block = new Uint8Array(TAR_FORMAT.BLOCK_SIZE);
+
+    writeTarField(block, 0, 100, name);
+    writeTarOctal(block, 100, 8, mode);
+    writeTarOctal(block, 108, 8, 0);
+    writeTarOctal(block, 116, 8, 0);
+    writeTarOctal(block, 124, 12, size);
+    writeTarOctal(block, 136, 12, mtime);
+    block.fill(0x20, 148, 156);
+    writeTarField(block, 156, 1, type);
+    writeTarField(block, 257, 6, 'ustar');
+    writeTarField(block, 263, 2, '00');
+    writeTarField(block, 345, 155, prefix);
+
+    // The checksum is computed with its own field filled with spaces
+    const checksum = block.reduce((total, byte) => total + byte, 0);
+    writeTarField(block, 148, 8, `${checksum.toString(8).padStart(6, '0')}\0 `);
+
+    return block;
+};
+
+/**
+ * Build a PAX extended header record ("<length> <key>=<value>\n")
+ * @param {string} key - Record key
+ * @param {string} value - Record value
+ * @returns {string} - The record
+ */
+const createPaxRecord = (key, value) => {
+    const body = ` ${key}=${value}\n`;
+    const bodyLength = byteLength(body);
+
+    // The length prefix counts its own digits
+    let length = bodyLength + String(bodyLength).length;
+    while (String(length).length + bodyLength !== length) {
+        length = String(length).length + bodyLength;
+    }
+
+    return `${length}${body}`;
+};
+
+/**
+ * Get the zero padding that completes a tar data block
+ * @param {number} size - Data size in bytes
+ * @returns {Uint8Array} - Padding bytes
+ */
+const getTarPadding = (size) =>
+    new Uint8Array((TAR_FORMAT.BLOCK_SIZE - (size % TAR_FORMAT.BLOCK_SIZE)) % TAR_FORMAT.BLOCK_SIZE);
+
+/**
+ * Create the blob parts for one tar entry, preceded by a PAX header when
+ * the path is non-ASCII or too long, or the size exceeds the ustar limit
+ * @param {Object} entry - Entry fields
+ * @param {string} entry.path - Entry path
+ * @param {number} entry.size - Data size in bytes
+ * @param {number} entry.mode - Permission bits
+ * @param {number} entry.mtime - Modification time in seconds since the epoch
+ * @param {string} entry.type - Type flag
+ * @returns {Array<Uint8Array>} - Header blocks
+ */
+const createTarEntryHeaders = ({ path, size, mode, mtime, type }) => {
+    const fields = splitTarPath(path);
+    const records = [];
+
+    if (!fields) records.push(createPaxRecord('path', path));
+    if (size > TAR_FORMAT.MAX_OCTAL_SIZE) records.push(createPaxRecord('size', String(size)));
+
+    // Readers without PAX support fall back to a sanitized, truncated name
+    const name = fields?.name ?? path.replace(/[^\x20-\x7e]/g, '_').slice(-TAR_FORMAT.NAME_LENGTH);
+    const header = createTarHeader({
+        name,
+        prefix: fields?.prefix,
+        size: size > TAR_FORMAT.MAX_OCTAL_SIZE ? 0 : size,
+        mode,
+        mtime,
+        type
+    });
+    if (records.length === 0) return [header];
+
+    const paxData = new TextEncoder().encode(records.join(''));
+    const paxHeader = createTarHeader({
+        name: `PaxHeader/${name}`.slice(0, TAR_FORMAT.NAME_LENGTH),
+        size: paxData.length,
+        mode: UNIX_MODES.FILE,
+        mtime,
+        type: TAR_FORMAT.TYPE_PAX_HEADER
+    });
+
+    return [paxHeader, paxData, getTarPadding(paxData.length), header];
+};
+
+/**
+ * Build a POSIX tar archive. File data is referenced, not copied, so the
+ * archive costs little more memory than its headers.
+ * @param {Object} payload - Job payload
+ * @param {Array<{path: string, file: File}>} payload.entries - Files to add
+ * @param {string[]} [payload.directories] - Empty directories to add
+ * @returns {Blob} - The archive
+ */
+const buildTarArchive = ({ entries, directories }) => {
+    const parts = [];
+
+    collectDirectoryEntries(entries, directories).forEach(({ path, lastModified }) => {
+        parts.push(...createTarEntryHeaders({
+            path,
+            size: 0,
+            mode: UNIX_MODES.DIRECTORY,
+            mtime: Math.floor(lastModified / 1000),
+            type: TAR_FORMAT.TYPE_DIRECTORY
+        }));
+    });
+
+    entries.forEach(({ path, file }) => {
+        parts.push(...createTarEntryHeaders({
+            path,
+            size: file.size,
+            mode: UNIX_MODES.FILE,
+            mtime: Math.floor((file.lastModified || Date.now()) / 1000),
+            type: TAR_FORMAT.TYPE_FILE
+        }), file, getTarPadding(file.size));
+    });
+
+    // Two zero blocks mark the end of the archive
+    parts.push(new Uint8Array(TAR_FORMAT.BLOCK_SIZE * 2));
+    return new Blob(parts, { type: ARCHIVE_FORMATS.tar.mimeType });
+};
+
+/**
+ * Gzip a blob with the native CompressionStream
+ * @param {Blob} blob - Data to compress
+ * @param {Function} onProgress - Called with (percent, currentFile)
+ * @returns {Promise<Blob>} - Compressed data
+ */
+const gzipBlob = async (blob, onProgress) => {
+    let bytesRead = 0;
+    const counter = new TransformStream({
+        transform: (chunk, controller) => {
+            bytesRead += chunk.byteLength;
+            onProgress(Math.floor((bytesRead / blob.size) * 100), null);
+            controller.enqueue(chunk);
+        }
+    });
+
+    const stream = blob.stream()
+        .pipeThrough(counter)
+        .pipeThrough(new CompressionStream('gzip'));
+    const compressed = await new Response(stream).blob();
+
+    return new Blob([compressed], { type: ARCHIVE_FORMATS['tar.gz'].mimeType });
+};
+
+// ============================================================================
+// ZIP READER
+// ============================================================================
+
+/**
+ * Read a byte range of a blob
+ * @param {Blob} blob - Blob to read
+ * @param {number} start - First byte
+ * @param {number} end - Byte after the last one
+ * @returns {Promise<DataView>} - View of the bytes
+ */
+const readBlobRange = async (blob, start, end) => 
+    new DataView(await blob.slice(start, end).arrayBuffer());
+
+/**
+ * Read a little-endian 64-bit size or offset
+ * @param {DataView} view - View to read from
+ * @param {number} offset - Byte offset of the value
+ * @returns {number} - Value, exact below 2^53
+ */
+const getUint64 = (view, offset) => Number(view.getBigUint64(offset, true));
+
+/**
+ * Convert MS-DOS time and date fields, which hold local time, to a timestamp
+ * @param {number} time - DOS time
+ * @param {number} date - DOS date
+ * @returns {number} - Milliseconds since epoch
+ */
+const fromDosDateTime = (time, date) => new Date(
+    (date >>> 9) + 1980, ((date >>> 5) & 0x0f) - 1, date & 0x1f,
+    time >>> 11, (time >>> 5) & 0x3f, (time & 0x1f) * 2
+).getTime();
+
+/**
+ * Split a header's extra field into its records
+ * @param {DataView} view - View of the extra field
+ * @returns {Map<number, DataView>} - Header ID to record data
+ */
+const readExtraFields = (view) => {
+    const fields = new Map();
+    for (let offset = 0; offset + 4 <= view.byteLength;) {
+        const size = Math.min(view.getUint16(offset + 2, true), view.byteLength - offset - 4);
+        fields.set(view.getUint16(offset, true), new DataView(view.buffer, view.byteOffset + offset + 4, size));
+        offset += 4 + size;
+    }
+    return fields;
+};
+
+/**
+ * Find the end of central directory record, which may be followed by a comment
+ * @param {Blob} archive - Zip file
+ * @returns {Promise<{view: DataView, offset: number, position: number}>} - Record
+ * view, its offset in the view and its position in the archive
+ */
+const findEndRecord = async (archive) => {
+    const start = Math.max(0, archive.size - ZIP_FORMAT.END_RECORD_SIZE - ZIP_FORMAT.MAX_16BIT);
+    const view = await readBlobRange(archive, start, archive.size);
+
+    for (let offset = view.byteLength - ZIP_FORMAT.END_RECORD_SIZE; offset >= 0; offset--) {
+        if (view.getUint32(offset, true) === ZIP_FORMAT.END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            return { view, offset, position: start + offset };
+        }
+    }
+    throw new Error('Not a zip archive');
+};
+
+/**
+ * Read the entry count, size and offset of the central directory,
+ * from the ZIP64 end record when the classic one is saturated
+ * @param {Blob} archive - Zip file
+ * @returns {Promise<{count: number, size: number, offset: number}>}
+ */
+const readDirectoryLocation = async (archive) => {
+    const { view, offset, position } = await findEndRecord(archive);
+    const location = {
+        count: view.getUint16(offset + 10, true),
+        size: view.getUint32(offset + 12, true),
+        offset: view.getUint32(offset + 16, true)
+    };
+    const isZip64 = location.count === ZIP_FORMAT.MAX_16BIT || 
+        location.size === ZIP_FORMAT.MAX_32BIT || 
+        location.offset === ZIP_FORMAT.MAX_32BIT;
+    if (!isZip64) return location;
+
+    const locator = await readBlobRange(archive, position - 20, position);
+    if (locator.getUint32(0, true) !== ZIP_FORMAT.ZIP64_LOCATOR_SIGNATURE) {
+        throw new Error('Damaged zip: the ZIP64 end record is missing');
+    }
+    const endOffset = getUint64(locator, 8);
+    const end = await readBlobRange(archive, endOffset, endOffset + 56);
+    if (end.getUint32(0, true) !== ZIP_FORMAT.ZIP64_END_SIGNATURE) {
+        throw new Error('Damaged zip: the ZIP64 end record is missing');
+    }
+
+    return { count: getUint64(end, 32), size: getUint64(end, 40), offset: getUint64(end, 48) };
+};
+
+/**
+ * Read one central directory record
+ * @param {DataView} view - View of the central directory
+ * @param {number} offset - Offset of the record
+ * @returns {{entry: Object, length: number}} - Entry and record length
+ */
+const readCentralRecord = (view, offset) => {
+    if (view.getUint32(offset, true) !== ZIP_FORMAT.CENTRAL_HEADER_SIGNATURE) {
+        throw new Error('Damaged zip: unreadable central directory');
+    }
+
+    const flags = view.getUint16(offset + 8, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const externalAttributes = view.getUint32(offset + 38, true);
+    const nameBytes = new Uint8Array(view.buffer, view.byteOffset + offset + 46, nameLength);
+    const extras = readExtraFields(new DataView(view.buffer, view.byteOffset + offset + 46 + nameLength, extraLength));
+
+    const entry = {
+        method: view.getUint16(offset + 10, true),
+        encrypted: (flags & ZIP_FORMAT.FLAG_ENCRYPTED) !== 0,
+        crc32: view.getUint32(offset + 16, true),
+        compressedSize: view.getUint32(offset + 20, true),
+        size: view.getUint32(offset + 24, true),
+        lastModified: fromDosDateTime(view.getUint16(offset + 12, true), view.getUint16(offset + 14, true)),
+        localHeaderOffset: view.getUint32(offset + 42, true)
+    };
+
+    // ZIP64 values follow in this order, only for the fields that are saturated
+    const zip64 = extras.get(ZIP_FORMAT.ZIP64_EXTRA_FIELD_ID);
+    let zip64Offset = 0;
+    ['size', 'compressedSize', 'localHeaderOffset'].forEach(key => {
+        if (zip64 && entry[key] === ZIP_FORMAT.MAX_32BIT && zip64Offset + 8 <= zip64.byteLength) {
+            entry[key] = getUint64(zip64, zip64Offset);
+            zip64Offset += 8;
+        }
+    });
+
+    // Names are UTF-8 when flagged, or carry an Info-ZIP Unicode Path for
+    // the stored name; anything else is read byte for byte, as JSZip does
+    const unicodePath = extras.get(ZIP_FORMAT.UNICODE_PATH_FIELD_ID);
+    if (flags & ZIP_FORMAT.FLAG_UTF8) {
+        entry.path = new TextDecoder().decode(nameBytes);
+    } else if (unicodePath?.byteLength > 5 && unicodePath.getUint32(1, true) === crc32(nameBytes)) {
+        entry.path = new TextDecoder().decode(new Uint8Array(unicodePath.buffer, unicodePath.byteOffset + 5, unicodePath.byteLength - 5));
+    } else {
+        entry.path = String.fromCharCode(...nameBytes);
+    }
+
+    // The extended timestamp holds the modification time in UTC
+    const timestamp = extras.get(ZIP_FORMAT.EXTENDED_TIMESTAMP_FIELD_ID);
+    if (timestamp?.byteLength >= 5 && (timestamp.getUint8(0) & 1)) {
+        entry.lastModified = timestamp.getUint32(1, true) * 1000;
+    }
+
+    // WinZip AES keeps the real method in its extra field; AE-2 leaves the CRC out
+    const aes = extras.get(AES_CONFIG.EXTRA_FIELD_ID);
+    if (entry.method === ZIP_FORMAT.METHOD_AES && aes?.byteLength >= 7) {
+        entry.method = aes.getUint16(5, true);
+        if (aes.getUint16(0, true) !== 1) entry.crc32 = null;
+    }
+
+    const unixMode = externalAttributes >>> 16;
+    entry.isDirectory = entry.path.endsWith('/') ||
+        (externalAttributes & ZIP_FORMAT.DOS_DIRECTORY_ATTRIBUTE) !== 0 ||
+        (unixMode & 0o170000) === UNIX_MODES.TYPE_DIRECTORY;
+
+    const length = 46 + nameLength + extraLength + commentLength;
+    entry.centralRecord = new Uint8Array(view.buffer, view.byteOffset + offset, length);
+    return { entry, length };
+};
+
+/**
+ * Read the entries of a zip from its central directory, without reading
+ * or decompressing their data
+ * @param {Blob} archive - Zip file
+ * @returns {Promise<Map<string, Object>>} - Path to entry with method, encrypted,
+ * crc32 (null when not stored), compressedSize, size, lastModified, isDirectory,
+ * localHeaderOffset and the centralRecord bytes
+ */
+const readZipDirectory = async (archive) => {
+    const location = await readDirectoryLocation(archive);
+    const view = await readBlobRange(archive, location.offset, location.offset + location.size);
+    const entries = new Map();
+
+    for (let i = 0, offset = 0; i < location.count; i++) {
+        const { entry, length } = readCentralRecord(view, offset);
+        entries.set(entry.path, entry);
+        offset += length;
+    }
+
+    return entries;
+};
+
+/**
+ * Compute the CRC-32 of a blob one slice at a time
+ * @param {Blob} blob - Data to check
+ * @returns {Promise<number>} - CRC-32
+ */
+const crc32Blob = async (blob) => {
+    let crc = 0;
+    await readBlobChunks(blob, (chunk) => { crc = crc32(chunk, crc); });
+    return crc;
+};
+
+/**
+ * Decompress an unencrypted entry one slice at a time and compute the
+ * CRC-32 of its content
+ * @param {Blob} archive - Zip file
+ * @param {Object} entry - Entry from readZipDirectory
+ * @returns {Promise<number>} - CRC-32 of the decompressed data
+ */
+const crc32ZipEntry = async (archive, entry) => {
+    const header = await readBlobRange(archive, entry.localHeaderOffset, entry.localHeaderOffset + 30);
+    if (header.getUint32(0, true) !== ZIP_FORMAT.LOCAL_HEADER_SIGNATURE) {
+        throw new Error(`Damaged zip: no local header for ${entry.path}`);
+    }
+
+    const start = entry.localHeaderOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+    const data = archive.slice(start, start + entry.compressedSize);
+    if (entry.method === ZIP_FORMAT.METHOD_STORE) return crc32Blob(data);
+    if (entry.method !== ZIP_FORMAT.METHOD_DEFLATE) {
+        throw new Error(`Unsupported compression method ${entry.method} in ${entry.path}`);
+    }
+
+    const reader = data.stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+    let crc = 0;
+    for (let result = await reader.read(); !result.done; result = await reader.read()) {
+        crc = crc32(result.value, crc);
+    }
+    return crc;
+};
+
+// ============================================================================
+// VERIFICATION
+// ============================================================================
+
+/**
+ * Remove the folder name from archive paths when every entry sits under it.
+ * Archives of a folder may or may not include the folder itself as top-level directory.
+ * @param {Map<string, Object>} archiveEntries - Path to entry
+ * @param {string} folderName - Selected folder name
+ * @returns {Map<string, Object>} - Entries keyed by path relative to the folder
+ */
+const stripArchiveRoot = (archiveEntries, folderName) => {
+    const prefix = `${folderName}/`;
+    const paths = Array.from(archiveEntries.keys());
+
+    if (paths.length === 0 || !paths.every(path => path.startsWith(prefix))) {
+        return archiveEntries;
+    }
+
+    return new Map(Array.from(archiveEntries, ([path, entry]) => [path.slice(prefix.length), entry]));
+};
+
+/**
+ * Compare a zip with the files of a folder. Entries are matched by path,
+ * then by the size and CRC-32 in the central directory, so changed files are
+ * found without decompressing anything. Entries that match are decompressed
+ * one slice at a time to check the archived data against its CRC-32;
+ * encrypted entries cannot be, so they are only compared by size and CRC-32.
+ * @param {Object} payload - Comparison job
+ * @param {File} payload.archive - Zip file
+ * @param {Array<{path: string, file: File}>} payload.files - Folder files by path relative to the folder
+ * @param {string} payload.folderName - Folder name, which the archive may use as top-level directory
+ * @param {Function} onProgress - Called with (percent, currentFile)
+ * @returns {Promise<Object>} - Report with missing, extra and changed paths and the matched count
+ */
+const compareZipToFiles = async ({ archive, files, folderName }, onProgress) => {
+    const directory = await readZipDirectory(archive);
+    const archiveEntries = stripArchiveRoot(
+        new Map(Array.from(directory).filter(([, entry]) => !entry.isDirectory)),
+        folderName
+    );
+    const folderPaths = new Set(files.map(({ path }) => path));
+    const report = { missing: [], extra: [], changed: [], matched: 0 };
+
+    // Manifests embedded when zipping are not part of the folder
+    archiveEntries.forEach((_, path) => {
+        if (!folderPaths.has(path) && !Object.values(MANIFEST_FILES).includes(path)) {
+            report.extra.push(path);
+        }
+    });
+
+    const sortedFiles = [...files].sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+    for (let i = 0; i < sortedFiles.length; i++) {
+        const { path, file } = sortedFiles[i];
+        const entry = archiveEntries.get(path);
+        onProgress(Math.floor((i / sortedFiles.length) * 100), path);
+
+        if (!entry) {
+            report.missing.push(path);
+        } else if (entry.size !== file.size) {
+            report.changed.push({
+                path,
+                reason: `${file.size} bytes in folder, ${entry.size} bytes in archive`
+            });
+        } else if (entry.crc32 !== null && await crc32Blob(file) !== entry.crc32) {
+            report.changed.push({ path, reason: 'content differs' });
+        } else if (!entry.encrypted && await crc32ZipEntry(archive, entry).catch(() => null) !== entry.crc32) {
+            report.changed.push({ path, reason: 'archived data is damaged' });
+        } else {
+            report.matched++;
+        }
+    }
+
+    onProgress(100, null);
+    report.extra.sort();
+    return report;
+};
+
+// ============================================================================
+// MANIFESTS
+// ============================================================================
+
+/**
+ * Get the lowercase hex SHA-256 digest of some data
+ * @param {ArrayBuffer|Uint8Array} data - Data to hash
+ * @returns {Promise<string>} - Hex digest
+ */
+const sha256Hex = async (data) => {
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Get the hex SHA-256 digest of a blob. Small blobs go through WebCrypto in
+ * one read; larger ones are hashed a slice at a time so a multi-gigabyte
+ * archive never has to fit in a single ArrayBuffer.
+ * @param {Blob} blob - Data to hash
+ * @param {Function} [onChunk] - Called with the size of each slice as it is hashed
+ * @returns {Promise<string>} - Hex digest
+ */
+const sha256Blob = async (blob, onChunk = () => {}) => {
+    if (blob.size <= STREAM_WRITER.CHUNK_SIZE) {
+        const digest = await sha256Hex(await blob.arrayBuffer());
+        onChunk(blob.size);
+        return digest;
+    }
+
+    const sha256 = createSha256();
+    await readBlobChunks(blob, (chunk) => {
+        sha256.update(chunk);
+        onChunk(chunk.length);
+    });
+    return sha256.digest();
+};
+
+/**
+ * Hash several blobs in order
+ * @param {{blobs: Blob[]}} payload - Blobs to hash
+ * @param {Function} onProgress - Called with (percent, currentFile) by bytes hashed
+ * @returns {Promise<string[]>} - Hex digests in the same order
+ */
+const hashBlobs = async ({ blobs }, onProgress) => {
+    const totalSize = blobs.reduce((sum, blob) => sum + blob.size, 0);
+    const digests = [];
+    let hashed = 0;
+
+    for (const blob of blobs) {
+        digests.push(await sha256Blob(blob, (size) => {
+            hashed += size;
+            onProgress(totalSize ? Math.floor((hashed / totalSize) * 100) : 100, blob.name || null);
+        }));
+    }
+    onProgress(100, null);
+    return digests;
+};
+
+/**
+ * Hash every entry and append the requested manifest files.
+ * A manifest left over in the folder from an earlier run is replaced.
+ * @param {Array<{path: string, file: File, options: Object}>} entries - Archive entries
+ * @param {{checksums: boolean, json: boolean}} manifest - Manifests to embed
+ * @param {Function} onProgress - Called with (percent, currentFile) while hashing
+ * @returns {Promise<Array<{path: string, file: File, options: Object}>>} - Entries
+ * followed by the manifest files
+ */
+const addManifestEntries = async (entries, manifest, onProgress) => {
+    const manifestPaths = Object.values(MANIFEST_FILES);
+    const files = entries.filter(({ path }) => !manifestPaths.includes(path));
+    const records = [];
+
+    for (let i = 0; i < files.length; i++) {
+        const { path, file } = files[i];
+        onProgress(Math.floor((i / files.length) * 100), path);
+
+        records.push({
+            path,
+            size: file.size,
+            mtime: new Date(file.lastModified || Date.now()).toISOString(),
+            sha256: await sha256Blob(file)
+        });
+    }
+
+    const lastModified = Date.now();
+    const createManifest = (name, content) => ({
+        path: name,
+        file: new File([content], name, { lastModified }),
+        options: {}
+    });
+    const manifests = [];
+
+    // Two spaces between hash and path, as written by sha256sum
+    if (manifest.checksums) {
+        manifests.push(createManifest(
+            MANIFEST_FILES.CHECKSUMS,
+            records.map(record => `${record.sha256}  ${record.path}\n`).join('')
+        ));
+    }
+    if (manifest.json) {
+        manifests.push(createManifest(
+            MANIFEST_FILES.JSON,
+            JSON.stringify({ generated: new Date(lastModified).toISOString(), files: records }, null, 2)
+        ));
+    }
+
+    onProgress(100, null);
+    return [...files, ...manifests];
+};
+
+// ============================================================================
+// ARCHIVE BUILDING
+// ============================================================================
+
+/**
+ * Convert a timestamp to the date to give JSZip for it.
+ * JSZip writes the UTC fields of a date into the DOS time fields, which
+ * readers show as local time, so the timezone offset is added first.
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {Date} - Date for JSZip
+ */
+const toJSZipDate = (timestamp) => 
+    new Date(timestamp - new Date(timestamp).getTimezoneOffset() * 60000);
+
+/**
+ * Add files and their directories to a zip, dated by the files'
+ * modification times and optionally with unix permissions
+ * @param {JSZip} zip - Zip to add to
+ * @param {Object} payload - Job payload
+ * @param {Array<{path: string, file: File, options: Object}>} payload.entries - Files to add
+ * @param {string[]} [payload.directories] - Empty directories to add
+ * @param {boolean} [payload.permissions] - Whether to record unix permissions
+ */
+const addJSZipEntries = (zip, { entries, directories, permissions }) => {
+    // Directories go first so JSZip does not create them with the current time
+    collectDirectoryEntries(entries, directories).forEach(({ path, lastModified }) => {
+        zip.file(path, null, {
+            dir: true,
+            date: toJSZipDate(lastModified),
+            ...(permissions && { unixPermissions: getUnixMode(true) })
+        });
+    });
+
+    entries.forEach(({ path, file, options }) => {
+        zip.file(path, file, {
+            date: toJSZipDate(file.lastModified || Date.now()),
+            ...(permissions && { unixPermissions: getUnixMode(false) }),
+            ...options
+        });
+    });
+};
+
+/**
+ * Get the JSZip generate options of a job
+ * @param {Object} payload - Job payload with generate options
+ * @returns {Object} - Options for generateAsync and generateInternalStream
+ */
+const getGenerateOptions = ({ options, permissions }) => ({
+    ...options,
+    platform: permissions ? 'UNIX' : 'DOS'
+});
+
+/**
+ * Build an archive with JSZip
+ * @param {Object} payload - Job payload with entries and generate options
+ * @param {Function} onProgress - Called with (percent, currentFile)
+ * @returns {Promise<Blob>} - The archive
+ */
+const buildJSZipArchive = (payload, onProgress) => {
+    const zip = new JSZip();
+    addJSZipEntries(zip, payload);
+
+    return zip.generateAsync(getGenerateOptions(payload), metadata =>
+        onProgress(Math.floor(metadata.percent), metadata.currentFile)
+    );
+};
+
+/**
+ * Write a kept entry's central directory record again for its new local
+ * header offset. The ZIP64 field is rebuilt, as the new offset may need it
+ * or no longer need it; everything else is kept as it was.
+ * @param {Object} entry - Entry from readZipDirectory
+ * @param {number} offset - New local header offset
+ * @returns {Uint8Array} - Record bytes
+ */
+const relocateCentralRecord = (entry, offset) => {
+    const record = entry.centralRecord;
+    const view = new DataView(record.buffer, record.byteOffset, record.byteLength);
+    const nameEnd = 46 + view.getUint16(28, true);
+    const extraEnd = nameEnd + view.getUint16(30, true);
+    const extras = readExtraFields(new DataView(record.buffer, record.byteOffset + nameEnd, extraEnd - nameEnd));
+
+    // Field views start after their four byte header, which is copied along
+    const extra = concatBytes(Array.from(extras)
+        .filter(([id]) => id !== ZIP_FORMAT.ZIP64_EXTRA_FIELD_ID)
+        .map(([, data]) => new Uint8Array(data.buffer, data.byteOffset - 4, data.byteLength + 4)));
+
+    return createStreamedCentralRecord({
+        name: record.subarray(46, nameEnd),
+        extra,
+        comment: record.subarray(extraEnd),
+        versionMadeBy: view.getUint16(4, true),
+        versionNeeded: view.getUint16(6, true),
+        flags: view.getUint16(8, true),
+        method: view.getUint16(10, true),
+        dosTime: view.getUint16(12, true),
+        dosDate: view.getUint16(14, true),
+        crc: view.getUint32(16, true),
+        compressedSize: entry.compressedSize,
+        size: entry.size,
+        internalAttributes: view.getUint16(36, true),
+        externalAttributes: view.getUint32(38, true),
+        offset
+    });
+};
+
+/**
+ * Update an existing zip: remove entries, add new files and keep everything
+ * else. Kept entries are copied with Blob.slice, so the existing archive is
+ * never read into memory; only their central directory records are written
+ * again. New files go through the streaming writer. Manifests are built
+ * again from every file of the updated archive.
+ * @param {Object} payload - Job payload
+ * @param {File} payload.baseArchive - Zip to update
+ * @param {string[]} payload.removedPaths - Entries to remove, including changed files
+ * @param {Array<{path: string, file: File, options: Object}>} payload.entries - Files to add
+ * @param {Array<{path: string, file: File}>} [payload.manifestEntries] - Every file of
+ * the updated archive, hashed for the manifests
+ * @param {Object} [payload.manifest] - Manifest files to embed
+ * @param {boolean} [payload.permissions] - Whether to record unix permissions
+ * @param {Function} onProgress - Called with (percent, currentFile)
+ * @returns {Promise<Blob>} - The updated archive
+ */
+const buildUpdatedZip = async (payload, onProgress) => {
+    const { baseArchive, permissions } = payload;
+    const location = await readDirectoryLocation(baseArchive);
+    const directory = await readZipDirectory(baseArchive);
+    let entries = payload.entries;
+    let reportProgress = onProgress;
+
+    if (payload.manifest) {
+        // Hashing fills the first half of the progress bar
+        const manifestPaths = Object.values(MANIFEST_FILES);
+        const hashed = await addManifestEntries(payload.manifestEntries, payload.manifest, (percent, currentFile) =>
+            onProgress(Math.floor(percent / 2), currentFile)
+        );
+        entries = [
+            ...entries.filter(({ path }) => !manifestPaths.includes(path)),
+            ...hashed.filter(({ path }) => manifestPaths.includes(path))
+        ];
+        reportProgress = (percent, currentFile) => onProgress(50 + Math.floor(percent / 2), currentFile);
+    }
+
+    const output = createBlobWriter();
+    const writer = createZipWriter(output.write, { permissions });
+    const removedPaths = new Set(payload.removedPaths);
+    const keptPaths = new Set();
+
+    // A local entry runs up to the next one, or to the central directory, data descriptor included
+    const stored = Array.from(directory.values()).sort((a, b) => a.localHeaderOffset - b.localHeaderOffset);
+    for (const [index, entry] of stored.entries()) {
+        if (removedPaths.has(entry.path)) continue;
+        const end = stored[index + 1]?.localHeaderOffset ?? location.offset;
+        await writer.copyEntry(baseArchive.slice(entry.localHeaderOffset, end), entry);
+        keptPaths.add(entry.path);
+    }
+
+    const directories = collectDirectoryEntries(entries).filter(({ path }) => !keptPaths.has(path));
+    await writeZipEntries(writer, entries, directories, reportProgress);
+    await writer.finish();
+    reportProgress(100, null);
+    return output.toBlob('application/zip');
+};
+
+/**
+ * Build the archive described by a job payload
+ * @param {Object} payload - Entries, output format, generate options, and optional
+ * manifests and encryption
+ * @param {Function} onProgress - Called with (percent, currentFile)
+ * @returns {Promise<Blob>} - The archive
+ */
+const buildArchive = async (payload, onProgress) => {
+    if (payload.baseArchive) {
+        return buildUpdatedZip(payload, onProgress);
+    }
+    if (payload.manifest) {
+        // Hashing fills the first half of the progress bar
+        const entries = await addManifestEntries(payload.entries, payload.manifest, (percent, currentFile) =>
+            onProgress(Math.floor(percent / 2), currentFile)
+        );
+        return buildArchive({ ...payload, entries, manifest: null }, (percent, currentFile) =>
+            onProgress(50 + Math.floor(percent / 2), currentFile)
+        );
+    }
+    if (payload.format === 'tar') {
+        const archive = buildTarArchive(payload);
+        onProgress(100, null);
+        return archive;
+    }
+    if (payload.format === 'tar.gz') {
+        return gzipBlob(buildTarArchive(payload), onProgress);
+    }
+
+    return payload.encryption
+        ? buildEncryptedZip(payload, onProgress)
+        : buildJSZipArchive(payload, onProgress);
+};
+
+// ============================================================================
+// STREAMING
+// ============================================================================
+
+/**
+ * Read a blob one slice at a time
+ * @param {Blob} blob - Data to read
+ * @param {Function} onChunk - Called with each Uint8Array slice; awaited before the next read
+ * @returns {Promise<void>}
+ */
+const readBlobChunks = async (blob, onChunk) => {
+    for (let offset = 0; offset < blob.size; offset += STREAM_WRITER.CHUNK_SIZE) {
+        const slice = blob.slice(offset, offset + STREAM_WRITER.CHUNK_SIZE);
+        await onChunk(new Uint8Array(await slice.arrayBuffer()));
+    }
+};
+
+/**
+ * Collect written chunks into a Blob. Chunks are folded into a Blob every
+ * STREAM_WRITER.BLOB_PART_SIZE bytes, which lets the browser keep a large
+ * archive out of the JavaScript heap.
+ * @returns {{write: Function, toBlob: Function}} - write(data) adds a Uint8Array
+ * or Blob, toBlob(type) returns everything written
+ */
+const createBlobWriter = () => {
+    const parts = [];
+    let pending = [];
+    let pendingSize = 0;
+
+    const flush = () => {
+        if (pending.length === 0) return;
+        parts.push(new Blob(pending));
+        pending = [];
+        pendingSize = 0;
+    };
+
+    return {
+        write: (data) => {
+            pending.push(data);
+            pendingSize += data.length ?? data.size;
+            if (pendingSize >= STREAM_WRITER.BLOB_PART_SIZE) flush();
+        },
+        toBlob: (type) => {
+            flush();
+            return new Blob(parts, { type });
+        }
+    };
+};
+
+/**
+ * Compress a blob with the native CompressionStream and write the output
+ * as it comes. Each slice is only read once the previous one has been
+ * compressed and written, so memory stays bounded by the stream queues.
+ * @param {Blob} blob - Data to compress
+ * @param {string} format - CompressionStream format ('deflate-raw' or 'gzip')
+ * @param {Function} write - Writes a Uint8Array chunk of output
+ * @param {Function} onChunk - Called with each uncompressed slice
+ * @returns {Promise<number>} - Compressed size in bytes
+ */
+const compressBlob = async (blob, format, write, onChunk) => {
+    const compressor = new CompressionStream(format);
+    const writer = compressor.writable.getWriter();
+    const reader = compressor.readable.getReader();
+    let compressedSize = 0;
+
+    // A failed write cancels the output, which also rejects pending input writes
+    const pump = (async () => {
+        for (let result = await reader.read(); !result.done; result = await reader.read()) {
+            compressedSize += result.value.length;
+            await write(result.value);
+        }
+    })().catch(error => {
+        reader.cancel(error).catch(() => {});
+        throw error;
+    });
+
+    try {
+        await readBlobChunks(blob, async (chunk) => {
+            onChunk(chunk);
+            await writer.write(chunk);
+        });
+        await writer.close();
+    } catch (error) {
+        writer.abort(error).catch(() => {});
+        await pump.catch(() => {});
+        throw error;
+    }
+
+    await pump;
+    return compressedSize;
+};
+
+/**
+ * Build a ZIP64 extended information extra field
+ * @param {number[]} values - Sizes and offsets that do not fit in 32 bits, in field order
+ * @returns {Uint8Array} - Extra field bytes
+ */
+const createZip64ExtraField = (values) => {
+    const extra = new Uint8Array(4 + values.length * 8);
+    const view = new DataView(extra.buffer);
+    view.setUint16(0, ZIP_FORMAT.ZIP64_EXTRA_FIELD_ID, true);
+    view.setUint16(2, values.length * 8, true);
+    values.forEach((value, index) => view.setBigUint64(4 + index * 8, BigInt(value), true));
+    return extra;
+};
+
+/**
+ * Create the data descriptor that follows a streamed entry's data
+ * @param {Object} entry - Written entry
+ * @param {boolean} zip64 - Whether sizes are written as 64-bit values
+ * @returns {Uint8Array} - Descriptor bytes
+ */
+const createDataDescriptor = (entry, zip64) => {
+    const record = new Uint8Array(zip64 ? 24 : 16);
+    const view = new DataView(record.buffer);
+    view.setUint32(0, ZIP_FORMAT.DATA_DESCRIPTOR_SIGNATURE, true);
+    view.setUint32(4, entry.crc, true);
+    if (zip64) {
+        view.setBigUint64(8, BigInt(entry.compressedSize), true);
+        view.setBigUint64(16, BigInt(entry.size), true);
+    } else {
+        view.setUint32(8, entry.compressedSize, true);
+        view.setUint32(12, entry.size, true);
+    }
+    return record;
+};
+
+/**
+ * Create a central directory record, moving sizes and offsets that do not
+ * fit in 32 bits into a ZIP64 extra field
+ * @param {Object} entry - Written entry
+ * @returns {Uint8Array} - Record bytes
+ */
+const createStreamedCentralRecord = (entry) => {
+    const fields = {};
+    const zip64Values = [];
+
+    ['size', 'compressedSize', 'offset'].forEach(key => {
+        if (entry[key] < ZIP_FORMAT.MAX_32BIT) return;
+        zip64Values.push(entry[key]);
+        fields[key] = ZIP_FORMAT.MAX_32BIT;
+    });
+    if (zip64Values.length === 0) return createZipHeader(entry, true);
+
+    return createZipHeader({
+        ...entry,
+        ...fields,
+        versionNeeded: Math.max(entry.versionNeeded, ZIP_FORMAT.VERSION_ZIP64),
+        extra: concatBytes([createZip64ExtraField(zip64Values), entry.extra])
+    }, true);
+};
+
+/**
+ * Start writing a ZIP archive. Entries use data descriptors, so nothing has
+ * to be known before a file is read, and ZIP64 records once the archive or an
+ * entry passes 4 GB. Encrypted entries are encrypted one slice at a time too.
+ * @param {Function} write - Writes a Uint8Array chunk, or a Blob for copied
+ * entries; awaited before more is read
+ * @param {Object} settings - Archive settings
+ * @param {boolean} [settings.permissions] - Whether to record unix permissions
+ * @param {{method: string, password: string}} [settings.encryption] - Encryption settings
+ * @returns {{addDirectory: Function, addFile: Function, copyEntry: Function, finish: Function}} -
+ * addDirectory({path, lastModified}), addFile({path, file, options}, onRead) calling
+ * onRead with the size of each slice read, copyEntry(blob, entry) for a local entry
+ * of another zip, and finish() writing the central directory
+ */
+const createZipWriter = (write, { permissions, encryption }) => {
+    const encoder = new TextEncoder();
+    const password = encryption && encoder.encode(encryption.password);
+    const useAes = encryption?.method === ENCRYPTION_METHODS.AES;
+    const records = [];
+    let offset = 0;
+
+    const output = async (bytes) => {
+        offset += bytes.length;
+        await write(bytes);
+    };
+
+    // Directory entries are not encrypted; they carry no data
+    const addDirectory = async ({ path, lastModified }) => {
+        const { time, date } = toDosDateTime(lastModified);
+        const entry = {
+            name: encoder.encode(path),
+            extra: new Uint8Array(0),
+            versionNeeded: ZIP_FORMAT.VERSION_DEFAULT,
+            flags: ZIP_FORMAT.FLAG_UTF8,
+            method: ZIP_FORMAT.METHOD_STORE,
+            dosTime: time,
+            dosDate: date,
+            crc: 0,
+            compressedSize: 0,
+            size: 0,
+            offset,
+            ...getEntryAttributes(true, permissions)
+        };
+        await output(createZipHeader(entry, false));
+        records.push(createStreamedCentralRecord(entry));
+    };
+
+    const addFile = async ({ file, path, options }, onRead) => {
+        const deflate = options?.compression !== 'STORE' && file.size > 0;
+        const whole = deflate && file.size <= STREAM_WRITER.WHOLE_ENTRY_SIZE
+            ? await compressEntryData(new Uint8Array(await file.arrayBuffer()), options)
+            : null;
+        const method = whole?.method ?? (deflate ? ZIP_FORMAT.METHOD_DEFLATE : ZIP_FORMAT.METHOD_STORE);
+        const zip64 = file.size > STREAM_WRITER.ZIP64_ENTRY_SIZE;
+        const { time, date } = toDosDateTime(file.lastModified || Date.now());
+        const encryptor = encryption && await createEntryEncryptor(encryption.method, password, time);
+        const entry = {
+            name: encoder.encode(path),
+            extra: useAes ? createAesExtraField(method) : new Uint8Array(0),
+            versionNeeded: Math.max(
+                zip64 ? ZIP_FORMAT.VERSION_ZIP64 : ZIP_FORMAT.VERSION_DEFAULT,
+                useAes ? ZIP_FORMAT.VERSION_AES : ZIP_FORMAT.VERSION_DEFAULT
+            ),
+            flags: ZIP_FORMAT.FLAG_UTF8 | ZIP_FORMAT.FLAG_DATA_DESCRIPTOR | (encryption ? ZIP_FORMAT.FLAG_ENCRYPTED : 0),
+            method: useAes ? ZIP_FORMAT.METHOD_AES : method,
+            dosTime: time,
+            dosDate: date,
+            crc: 0,
+            compressedSize: 0,
+            size: file.size,
+            offset,
+            ...getEntryAttributes(false, permissions)
+        };
+
+        // Sizes follow the data; a ZIP64 local header announces 64-bit ones
+        await output(createZipHeader({
+            ...entry,
+            size: zip64 ? ZIP_FORMAT.MAX_32BIT : 0,
+            compressedSize: zip64 ? ZIP_FORMAT.MAX_32BIT : 0,
+            extra: zip64 ? concatBytes([createZip64ExtraField([0, 0]), entry.extra]) : entry.extra
+        }, false));
+
+        // Encryption headers and trailers count as entry data
+        const writeData = async (bytes) => {
+            entry.compressedSize += bytes.length;
+            await output(bytes);
+        };
+        const writeContent = (chunk) => writeData(encryptor ? encryptor.encrypt(chunk) : chunk);
+        if (encryptor) await writeData(encryptor.header);
+
+        let crc = 0;
+        const onChunk = (chunk) => {
+            crc = crc32(chunk, crc);
+            onRead(chunk.length);
+        };
+        if (whole) {
+            await writeContent(whole.data);
+            crc = whole.crc;
+            onRead(file.size);
+        } else if (deflate) {
+            await compressBlob(file, 'deflate-raw', writeContent, onChunk);
+        } else {
+            await readBlobChunks(file, async (chunk) => {
+                onChunk(chunk);
+                await writeContent(chunk);
+            });
+        }
+        if (encryptor) await writeData(encryptor.finish());
+        entry.crc = crc;
+
+        await output(createDataDescriptor(entry, zip64));
+        records.push(createStreamedCentralRecord(entry));
+    };
+
+    const copyEntry = async (data, entry) => {
+        records.push(relocateCentralRecord(entry, offset));
+        offset += data.size;
+        await write(data);
+    };
+
+    const finish = async () => {
+        const centralStart = offset;
+        for (const record of records) {
+            await output(record);
+        }
+        for (const record of createEndRecords(records.length, offset - centralStart, centralStart)) {
+            await output(record);
+        }
+    };
+
+    return { addDirectory, addFile, copyEntry, finish };
+};
+
+/**
+ * Add directories and files to a ZIP writer, reporting progress by bytes read
+ * @param {Object} writer - Writer from createZipWriter
+ * @param {Array<{path: string, file: File, options: Object}>} entries - Files to add
+ * @param {Array<{path: string, lastModified: number}>} directories - Directory entries to add
+ * @param {Function} onProgress - Called with (percent, currentFile)
+ * @returns {Promise<void>}
+ */
+const writeZipEntries = async (writer, entries, directories, onProgress) => {
+    const totalSize = entries.reduce((total, { file }) => total + file.size, 0);
+    let processed = 0;
+
+    for (const directory of directories) {
+        await writer.addDirectory(directory);
+    }
+    for (const entry of entries) {
+        onProgress(totalSize ? Math.floor((processed / totalSize) * 100) : 0, entry.path);
+        await writer.addFile(entry, (size) => {
+            processed += size;
+            onProgress(Math.floor((processed / totalSize) * 100), entry.path);
+        });
+    }
+};
+
+/**
+ * Write a ZIP archive one file slice at a time
+ * @param {Object} payload - Job payload
+ * @param {Array<{path: string, file: File, options: Object}>} payload.entries - Files to add
+ * @param {string[]} [payload.directories] - Empty directories to add
+ * @param {boolean} [payload.permissions] - Whether to record unix permissions
+ * @param {{method: string, password: string}} [payload.encryption] - Encryption settings
+ * @param {Function} write - Writes a Uint8Array chunk; awaited before more is read
+ * @param {Function} onProgress - Called with (percent, currentFile)
+ * @returns {Promise<void>}
+ */
+const streamZipArchive = async ({ entries, directories, permissions, encryption }, write, onProgress) => {
+    const writer = createZipWriter(write, { permissions, encryption });
+    await writeZipEntries(writer, entries, collectDirectoryEntries(entries, directories), onProgress);
+    await writer.finish();
+    onProgress(100, null);
+};
+
+/**
+ * Write a tar or tar.gz archive one slice at a time. The tar blob only
+ * references the files, so it costs little more memory than its headers.
+ * @param {Object} payload - Job payload with entries, directories and format
+ * @param {Function} write - Writes a Uint8Array chunk; awaited before more is read
+ * @param {Function} onProgress - Called with (percent, currentFile)
+ * @returns {Promise<void>}
+ */
+const streamTarArchive = async (payload, write, onProgress) => {
+    const archive = buildTarArchive(payload);
+    let processed = 0;
+    const onChunk = (chunk) => {
+        processed += chunk.length;
+        onProgress(Math.floor((processed / archive.size) * 100), null);
+    };
+
+    if (payload.format === 'tar.gz') {
+        await compressBlob(archive, 'gzip', write, onChunk);
+    } else {
+        await readBlobChunks(archive, async (chunk) => {
+            onChunk(chunk);
+            await write(chunk);
+        });
+    }
+    onProgress(100, null);
+};
+
+/**
+ * Write the archive described by a job payload as it is built, holding at
+ * most a few slices in memory. Manifests must already be in the entries.
+ * @param {Object} payload - Entries, directories, output format, permissions
+ * and optional encryption
+ * @param {Function} write - Writes a Uint8Array chunk; awaited before more is read
+ * @param {Function} onProgress - Called with (percent, currentFile)
+ * @returns {Promise<void>}
+ */
+const streamArchive = (payload, write, onProgress) => ['tar', 'tar.gz'].includes(payload.format)
+    ? streamTarArchive(payload, write, onProgress)
+    : streamZipArchive(payload, write, onProgress);
+
+// ============================================================================
+// COMPRESSION SAMPLING
+// ============================================================================
+
+/**
+ * Compress samples to measure the compression ratio and speed.
+ * Both a stored and a deflated zip of the samples are built; they carry the
+ * same headers, so the headers cancel out of the ratio.
+ * @param {{samples: Blob[], level: number}} payload - Sample data and deflate level
+ * @param {Function} onProgress - Called with (percent, currentFile)
+ * @returns {Promise<{ratio: number, deflateSpeed: number, storeSpeed: number}>} - Ratio of
+ * deflated to original size and speeds in bytes per second
+ */
+const sampleCompression = async ({ samples, level }, onProgress) => {
+    const buffers = await Promise.all(samples.map(sample => sample.arrayBuffer()));
+    const sampleSize = buffers.reduce((total, buffer) => total + buffer.byteLength, 0);
+    if (sampleSize === 0) return { ratio: 1, deflateSpeed: Infinity, storeSpeed: Infinity };
+
+    const buildSample = async (options) => {
+        const zip = new JSZip();
+        buffers.forEach((buffer, index) => zip.file(String(index), buffer, options));
+
+        const started = performance.now();
+        const output = await zip.generateAsync({ type: 'uint8array' });
+        const seconds = Math.max(performance.now() - started, 1) / 1000;
+        return { size: output.length, speed: sampleSize / seconds };
+    };
+
+    const stored = await buildSample({ compression: 'STORE' });
+    onProgress(50, null);
+    const deflated = await buildSample({ compression: 'DEFLATE', compressionOptions: { level } });
+    onProgress(100, null);
+    const headerSize = stored.size - sampleSize;
+
+    return {
+        ratio: Math.min(1, Math.max(0, (deflated.size - headerSize) / sampleSize)),
+        deflateSpeed: deflated.speed,
+        storeSpeed: stored.speed
+    };
+};
+
+// ============================================================================
+// WORKER TASKS
+// ============================================================================
+
+/**
+ * Jobs the zip worker pool can run, by the payload's task name
+ * @type {Object<string, Function>}
+ */
+const WORKER_TASKS = {
+    archive: buildArchive,
+    hash: hashBlobs,
+    compare: compareZipToFiles,
+    sample: sampleCompression
+};
+
+/**
+ * Run a worker pool job. Payloads without a task build an archive.
+ * @param {Object} payload - Job payload with an optional task name
+ * @param {Function} onProgress - Called with (percent, currentFile)
+ * @returns {Promise<*>} - The task's result
+ */
+const runWorkerTask = ({ task = 'archive', ...payload }, onProgress) =>
+    WORKER_TASKS[task](payload, onProgress);
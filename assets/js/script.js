@@ -7,18 +7,6 @@
 // CONFIGURATION & CONSTANTS
 // ============================================================================
 
-/**
- * Supported file extensions for file detection
- * @type {string[]}
- */
-const SUPPORTED_FILE_EXTENSIONS = [
-    '.html', '.htm', '.css', '.js', '.json', '.xml', '.txt', '.md',
-    '.jpg', '.jpeg', '.png', '.gif', '.svg', '.bmp', '.webp', '.ico',
-    '.zip', '.rar', '.7z', '.tar', '.gz', '.pdf', '.doc', '.docx',
-    '.xls', '.xlsx', '.ppt', '.pptx', '.mp3', '.mp4', '.avi', '.mov',
-    '.wmv', '.csv', '.log', '.ini', '.conf', '.config'
-];
-
 /**
  * ZIP compression configuration
  * @type {Object}
@@ -29,13 +17,328 @@ const ZIP_CONFIG = {
     compressionOptions: { level: 6 }
 };
 
+/**
+ * File extensions whose contents are already compressed.
+ * In auto mode these are stored as-is instead of being deflated again.
+ * @type {string[]}
+ */
+const PRECOMPRESSED_EXTENSIONS = [
+    '.jpg', '.jpeg', '.png', '.gif', '.webp', '.heic', '.avif',
+    '.mp3', '.m4a', '.aac', '.ogg', '.flac', '.mp4', '.m4v', '.avi',
+    '.mov', '.wmv', '.mkv', '.webm', '.zip', '.rar', '.7z', '.gz',
+    '.tgz', '.bz2', '.xz', '.zst', '.docx', '.xlsx', '.pptx', '.odt',
+    '.ods', '.odp', '.epub', '.jar', '.apk'
+];
+
+/**
+ * File type categories of the size breakdown shown in each row.
+ * Files matching none of them are counted as OTHER_FILE_CATEGORY.
+ * @type {Object<string, string[]>}
+ */
+const FILE_CATEGORIES = {
+    'Web & text': ['.html', '.htm', '.css', '.js', '.json', '.xml', '.txt', '.md', '.csv', '.log', '.ini', '.conf', '.config'],
+    Images: ['.jpg', '.jpeg', '.png', '.gif', '.svg', '.bmp', '.webp', '.ico'],
+    Archives: ['.zip', '.rar', '.7z', '.tar', '.gz'],
+    Documents: ['.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx'],
+    Media: ['.mp3', '.mp4', '.avi', '.mov', '.wmv']
+};
+
+/**
+ * Breakdown category of files with any other extension
+ * @type {string}
+ */
+const OTHER_FILE_CATEGORY = 'Other';
+
+/**
+ * Archive size estimate configuration. The largest files are sampled
+ * because they dominate the archive size; only their first bytes are read.
+ * @type {Object}
+ */
+const SIZE_ESTIMATE = {
+    SAMPLE_FILES: 8,
+    SAMPLE_BYTES: 256 * 1024,
+    LARGEST_FILES: 3,
+    DELAY: 300
+};
+
+/**
+ * Compression methods offered in the settings panel
+ * @type {Object}
+ */
+const COMPRESSION_METHODS = {
+    STORE: 'STORE',
+    DEFLATE: 'DEFLATE',
+    AUTO: 'AUTO'
+};
+
+/**
+ * Built-in ignore presets, written as gitignore-style patterns
+ * @type {Object<string, {label: string, patterns: string[]}>}
+ */
+const IGNORE_PRESETS = {
+    system: {
+        label: 'System files',
+        patterns: ['.DS_Store', '._*', '.Spotlight-V100/', '.Trashes/', '__MACOSX/', 'Thumbs.db', 'ehthumbs.db', 'desktop.ini', '$RECYCLE.BIN/']
+    },
+    vcs: {
+        label: 'Version control',
+        patterns: ['.git/', '.svn/', '.hg/']
+    },
+    dependencies: {
+        label: 'Dependencies',
+        patterns: ['node_modules/', 'bower_components/']
+    },
+    logs: {
+        label: 'Log files',
+        patterns: ['*.log']
+    }
+};
+
+/**
+ * Ignore files honored inside each folder
+ * @type {string[]}
+ */
+const IGNORE_FILE_NAMES = ['.gitignore', '.zipignore'];
+
+/**
+ * Tokens available in archive naming templates
+ * @type {Object<string, string>}
+ */
+const NAME_TEMPLATE_TOKENS = {
+    name: 'Folder name',
+    parent: 'Selected parent folder',
+    date: 'Date (YYYY-MM-DD)',
+    time: 'Time (HH-MM-SS)',
+    index: 'Row number',
+    fileCount: 'Number of files'
+};
+
+/**
+ * Base names that Windows refuses as filenames, with or without extension
+ * @type {RegExp}
+ */
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+/**
+ * Labels of the password strength scores
+ * @type {string[]}
+ */
+const PASSWORD_STRENGTH_LABELS = ['Too weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+/**
+ * Passwords that are rejected as trivially guessable
+ * @type {RegExp}
+ */
+const COMMON_PASSWORDS = /^(password|passw0rd|123456\d*|12345678|qwerty|letmein|welcome|admin|iloveyou|abc123)$/i;
+
+/**
+ * Value of the encryption selects meaning "no password"
+ * @type {string}
+ */
+const NO_ENCRYPTION = 'NONE';
+
+/**
+ * Zip worker pool configuration
+ * @type {Object}
+ */
+const WORKER_CONFIG = {
+    SCRIPT_URL: 'assets/js/zip-worker.js',
+    DEFAULT_CONCURRENCY: Math.max(1, Math.min(navigator.hardwareConcurrency || 2, 4)),
+    MAX_CONCURRENCY: 8
+};
+
+/**
+ * Default user settings, overridden by values persisted in localStorage
+ * @type {Object}
+ */
+const DEFAULT_SETTINGS = {
+    outputFormat: 'zip',
+    compressionMethod: COMPRESSION_METHODS.DEFLATE,
+    compressionLevel: 6,
+    maxArchiveSize: 0,
+    largeFileWarning: 1024,
+    largeFolderWarning: 4096,
+    concurrency: WORKER_CONFIG.DEFAULT_CONCURRENCY,
+    streamToDisk: false,
+    ignorePresets: Object.keys(IGNORE_PRESETS),
+    excludePatterns: '',
+    includePatterns: '',
+    useIgnoreFiles: true,
+    folderNameTemplate: '{name}',
+    bundleNameTemplate: 'all_folders',
+    encryptionMethod: NO_ENCRYPTION,
+    looseFiles: 'ask',
+    groupingDepth: 'auto',
+    includeRootFolder: false,
+    unixPermissions: false,
+    checksumManifest: false,
+    jsonManifest: false,
+    archiveChecksum: false,
+    embedBatchReport: false,
+    downloadAllMode: 'nested',
+    updateDetection: 'date'
+};
+
+/**
+ * What to do with loose files selected next to folders
+ * @type {Object}
+ */
+const LOOSE_FILE_MODES = {
+    ASK: 'ask',
+    INDIVIDUAL: 'individual',
+    BUNDLE: 'bundle',
+    SKIP: 'skip'
+};
+
+/**
+ * Row name of the archive that bundles loose files
+ * @type {string}
+ */
+const LOOSE_FILES_BUNDLE_NAME = 'loose_files';
+
+/**
+ * Tooltip shown on loose file rows until the user decides what to do with them
+ * @type {string}
+ */
+const LOOSE_FILE_MESSAGE = 'Loose file: zip it on its own, bundle it or skip it';
+
+/**
+ * Which file a merge keeps when both rows have the same relative path
+ * @type {Object}
+ */
+const MERGE_POLICIES = {
+    NEWER: 'newer',
+    LARGER: 'larger',
+    BOTH: 'both'
+};
+
+/**
+ * How Download All hands over the finished archives
+ * @type {Object<string, {label: string, button: string}>}
+ */
+const DOWNLOAD_ALL_MODES = {
+    nested: { label: 'One zip holding every archive', button: 'Download All Zips' },
+    flat: { label: 'One archive with a folder per row', button: 'Download All as One Archive' },
+    separate: { label: 'Each archive as its own download', button: 'Download Each Archive' },
+    directory: { label: 'Save each archive into a folder', button: 'Save All to a Folder' }
+};
+
+/**
+ * Pause between separate downloads in milliseconds.
+ * Browsers drop downloads that are started at the same moment.
+ * @type {number}
+ */
+const SEPARATE_DOWNLOAD_DELAY = 400;
+
+/**
+ * Worker pool key of the archive built by flat Download All
+ * @type {string}
+ */
+const DOWNLOAD_ALL_JOB = 'download-all';
+
+/**
+ * Worker pool key of the archive comparison in verify mode
+ * @type {string}
+ */
+const VERIFY_JOB = 'verify';
+
+/**
+ * localStorage key for persisted settings
+ * @type {string}
+ */
+const SETTINGS_STORAGE_KEY = 'folderZipper.settings';
+
+/**
+ * IndexedDB database that keeps the folder list and archives between visits
+ * @type {Object}
+ */
+const SESSION_DB = {
+    NAME: 'folderZipper',
+    VERSION: 1,
+    FOLDERS_STORE: 'folders',
+    META_STORE: 'meta',
+    ORDER_KEY: 'order',
+    SAVE_DELAY: 500
+};
+
+/**
+ * Installable app configuration. The share target parameter matches the
+ * share_target action in manifest.webmanifest.
+ * @type {Object}
+ */
+const APP_CONFIG = {
+    SERVICE_WORKER_URL: 'sw.js',
+    SHARE_TARGET_PARAM: 'share-target'
+};
+
+/**
+ * Streaming output configuration
+ * @type {Object}
+ */
+const STREAM_CONFIG = {
+    DOWNLOAD_PATH: 'stream-download/',
+    IFRAME_CLEANUP_DELAY: 60000
+};
+
+/**
+ * Application modes
+ * @type {Object}
+ */
+const APP_MODES = {
+    CREATE: 'create',
+    VERIFY: 'verify',
+    EXTRACT: 'extract'
+};
+
+/**
+ * DOS timestamps in zips have a two second resolution
+ * @type {number}
+ */
+const ZIP_DATE_TOLERANCE = 2000;
+
+/**
+ * Split archive size estimates. Parts are planned before compression, so
+ * each file counts at its uncompressed size plus header overhead.
+ * @type {Object}
+ */
+const SPLIT_CONFIG = {
+    BYTES_PER_MB: 1024 * 1024,
+    ARCHIVE_OVERHEAD: 1024,
+    ZIP_ENTRY_OVERHEAD: 128,
+    TAR_ENTRY_OVERHEAD: 2048,
+    DEFLATE_BLOCK_SIZE: 16384,
+    DEFLATE_BLOCK_OVERHEAD: 5
+};
+
 /**
  * Animation timing constants
  * @type {Object}
  */
 const ANIMATION_DELAYS = {
-    REMOVE_FOLDER: 400,
-    ZIP_PROCESSING: 30
+    REMOVE_FOLDER: 400
+};
+
+/**
+ * Keys that act on the folder row holding focus, mapped to row actions
+ * @type {Object<string, string>}
+ */
+const ROW_SHORTCUTS = {
+    z: 'zip',
+    d: 'download',
+    delete: 'remove',
+    backspace: 'remove'
+};
+
+/**
+ * Screen reader announcement configuration. Progress is announced every
+ * PROGRESS_STEP percent, only the last HISTORY messages stay in the page and
+ * a message repeated within REPEAT_DELAY milliseconds is read once.
+ * @type {Object}
+ */
+const ANNOUNCEMENTS = {
+    PROGRESS_STEP: 25,
+    HISTORY: 5,
+    REPEAT_DELAY: 1000
 };
 
 /**
@@ -44,8 +347,21 @@ const ANIMATION_DELAYS = {
  */
 const FOLDER_STATUS = {
     PENDING: 'pending',
+    QUEUED: 'queued',
     ZIPPING: 'zipping',
-    COMPLETE: 'complete'
+    COMPLETE: 'complete',
+    ERROR: 'error',
+    UNAVAILABLE: 'unavailable'
+};
+
+/**
+ * Status badge text of archives in extract mode
+ * @type {Object}
+ */
+const EXTRACT_STATUS_TEXT = {
+    [FOLDER_STATUS.PENDING]: 'Ready',
+    [FOLDER_STATUS.ZIPPING]: 'Extracting...',
+    [FOLDER_STATUS.COMPLETE]: 'Extracted'
 };
 
 // ============================================================================
@@ -57,15 +373,77 @@ const FOLDER_STATUS = {
  * @type {Object}
  */
 const elements = {
+    uploadSection: document.getElementById('uploadSection'),
     folderInput: document.getElementById('folderInput'),
+    skippedNotice: document.getElementById('skippedNotice'),
     browseBtn: document.getElementById('browseBtn'),
+    modeTabs: document.getElementById('modeTabs'),
+    verifyArchiveBtn: document.getElementById('verifyArchiveBtn'),
+    verifyArchiveInput: document.getElementById('verifyArchiveInput'),
+    verifyArchiveName: document.getElementById('verifyArchiveName'),
+    verifyFolderBtn: document.getElementById('verifyFolderBtn'),
+    verifyFolderInput: document.getElementById('verifyFolderInput'),
+    verifyFolderName: document.getElementById('verifyFolderName'),
+    verifyBtn: document.getElementById('verifyBtn'),
+    verifyReports: document.getElementById('verifyReports'),
+    extractSection: document.getElementById('extractSection'),
+    extractHint: document.getElementById('extractHint'),
+    extractBrowseBtn: document.getElementById('extractBrowseBtn'),
+    extractInput: document.getElementById('extractInput'),
+    extractList: document.getElementById('extractList'),
+    extractAllBtn: document.getElementById('extractAllBtn'),
+    extractClearBtn: document.getElementById('extractClearBtn'),
     foldersList: document.getElementById('foldersList'),
     emptyState: document.getElementById('emptyState'),
     zipAllBtn: document.getElementById('zipAllBtn'),
     stopBtn: document.getElementById('stopBtn'),
+    pauseBtn: document.getElementById('pauseBtn'),
     cleanupBtn: document.getElementById('cleanupBtn'),
+    zipLooseBtn: document.getElementById('zipLooseBtn'),
+    bundleLooseBtn: document.getElementById('bundleLooseBtn'),
+    looseFiles: document.getElementById('looseFiles'),
+    downloadAllMode: document.getElementById('downloadAllMode'),
+    groupingDepth: document.getElementById('groupingDepth'),
+    includeRootToggle: document.getElementById('includeRootToggle'),
+    unixPermissionsToggle: document.getElementById('unixPermissionsToggle'),
     downloadAllBtn: document.getElementById('downloadAllBtn'),
-    clearAllBtn: document.getElementById('clearAllBtn')
+    statusAnnouncer: document.getElementById('statusAnnouncer'),
+    alertAnnouncer: document.getElementById('alertAnnouncer'),
+    clearAllBtn: document.getElementById('clearAllBtn'),
+    streamToggle: document.getElementById('streamToggle'),
+    outputFormat: document.getElementById('outputFormat'),
+    compressionMethod: document.getElementById('compressionMethod'),
+    compressionLevel: document.getElementById('compressionLevel'),
+    compressionLevelValue: document.getElementById('compressionLevelValue'),
+    maxArchiveSize: document.getElementById('maxArchiveSize'),
+    largeFileWarning: document.getElementById('largeFileWarning'),
+    largeFolderWarning: document.getElementById('largeFolderWarning'),
+    batchTotals: document.getElementById('batchTotals'),
+    embedReportToggle: document.getElementById('embedReportToggle'),
+    batchReport: document.getElementById('batchReport'),
+    reportSummary: document.getElementById('reportSummary'),
+    reportRows: document.getElementById('reportRows'),
+    reportCsvBtn: document.getElementById('reportCsvBtn'),
+    reportJsonBtn: document.getElementById('reportJsonBtn'),
+    reportDismissBtn: document.getElementById('reportDismissBtn'),
+    concurrency: document.getElementById('concurrency'),
+    ignorePresets: document.getElementById('ignorePresets'),
+    excludePatterns: document.getElementById('excludePatterns'),
+    includePatterns: document.getElementById('includePatterns'),
+    ignoreFilesToggle: document.getElementById('ignoreFilesToggle'),
+    checksumManifestToggle: document.getElementById('checksumManifestToggle'),
+    jsonManifestToggle: document.getElementById('jsonManifestToggle'),
+    archiveChecksumToggle: document.getElementById('archiveChecksumToggle'),
+    updateDetection: document.getElementById('updateDetection'),
+    folderNameTemplate: document.getElementById('folderNameTemplate'),
+    bundleNameTemplate: document.getElementById('bundleNameTemplate'),
+    nameTokens: document.getElementById('nameTokens'),
+    namePreview: document.getElementById('namePreview'),
+    batchPassword: document.getElementById('batchPassword'),
+    storageUsage: document.getElementById('storageUsage'),
+    purgeArchivesBtn: document.getElementById('purgeArchivesBtn'),
+    updateBanner: document.getElementById('updateBanner'),
+    updateReloadBtn: document.getElementById('updateReloadBtn')
 };
 
 // ============================================================================
@@ -78,28 +456,94 @@ const elements = {
  */
 const state = {
     folders: [],
-    shouldStopZipping: false
+    queuePaused: false,
+    settings: { ...DEFAULT_SETTINGS },
+    batchEncryption: null,
+    batchPasswordError: null,
+    mode: APP_MODES.CREATE,
+    verify: { archive: null, files: [] },
+    extractArchives: [],
+    batchReport: null,
+    downloadingAll: false
 };
 
+/**
+ * Last status and progress step announced for each folder, so repeated
+ * updates stay quiet
+ * @type {WeakMap<Object, {status: string, step: number}>}
+ */
+const announcedFolderStates = new WeakMap();
+
+/**
+ * Media query of the operating system's reduced motion preference
+ * @type {MediaQueryList|undefined}
+ */
+const reducedMotionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+
+/**
+ * Relative paths of files that arrived through drag and drop.
+ * Dropped files have an empty webkitRelativePath, so the path is tracked here.
+ * @type {WeakMap<File, string>}
+ */
+const droppedFilePaths = new WeakMap();
+
+/**
+ * Directory and file handles of dropped items by upload, then by name, kept
+ * so a restored session can ask for access to them again. A name dropped
+ * twice in one upload maps to null, as neither handle covers the whole row.
+ * @type {Map<number, Map<string, FileSystemHandle|null>>}
+ */
+const droppedHandles = new Map();
+
+/**
+ * Content hash of a row's files, keyed by its file list so any change to
+ * the selection or filters starts a new hash
+ * @type {WeakMap<File[], Promise<string>>}
+ */
+const folderContentHashes = new WeakMap();
+
+/**
+ * Pending size estimate timer of each row by folder ID
+ * @type {Map<number, number>}
+ */
+const sizeEstimateTimers = new Map();
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
 
 /**
- * Check if a given name is a file (not a folder)
- * @param {string} name - The name to check
- * @returns {boolean} - True if it's a file, false if it's a folder
+ * Format a byte count for display
+ * @param {number} bytes - Number of bytes
+ * @returns {string} - Human readable size
  */
-const isFile = (name) => {
-    const lowerName = name.toLowerCase();
-    const hasExtension = SUPPORTED_FILE_EXTENSIONS.some(ext => 
-        lowerName.endsWith(ext)
-    );
-    const hasGenericExtension = /\.\w{1,5}$/.test(lowerName);
+const formatBytes = (bytes) => {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unitIndex = 0;
+    
+    while (value >= 1024 && unitIndex < units.length - 1) {
+        value /= 1024;
+        unitIndex++;
+    }
     
-    return hasExtension || hasGenericExtension;
+    return `${value.toFixed(unitIndex === 0 ? 0 : 1)} ${units[unitIndex]}`;
 };
 
+/**
+ * Escape text for safe use inside HTML markup
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (text) => 
+    String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+
 /**
  * Get DOM element by ID with folder ID suffix
  * @param {string} prefix - Element ID prefix
@@ -130,11 +574,183 @@ const triggerDownload = (blob, filename) => {
 };
 
 /**
- * Wait for a specified number of milliseconds
- * @param {number} ms - Milliseconds to wait
- * @returns {Promise<void>}
+ * Get the relative path of a file inside the selection
+ * @param {File} file - File object
+ * @returns {string} - Relative path using '/' separators
+ */
+const getRelativePath = (file) => 
+    droppedFilePaths.get(file) || file.webkitRelativePath || file.name;
+
+// ============================================================================
+// ACCESSIBILITY
+// ============================================================================
+
+/**
+ * Check whether the user asked the operating system for less motion
+ * @returns {boolean} - True if animations should be skipped
+ */
+const prefersReducedMotion = () => Boolean(reducedMotionQuery?.matches);
+
+/**
+ * Get the scrollIntoView behavior that respects reduced motion
+ * @returns {string} - 'auto' or 'smooth'
+ */
+const getScrollBehavior = () => prefersReducedMotion() ? 'auto' : 'smooth';
+
+/**
+ * Get how long a row takes to animate out
+ * @returns {number} - Delay in milliseconds
+ */
+const getRemoveDelay = () => prefersReducedMotion() ? 0 : ANIMATION_DELAYS.REMOVE_FOLDER;
+
+/**
+ * Tell screen readers about a change. Messages are added as new lines so
+ * several rows finishing together are all read out.
+ * @param {string} message - Text to announce
+ * @param {boolean} [urgent] - Interrupt the screen reader, for errors
+ */
+const announce = (message, urgent = false) => {
+    const region = urgent ? elements.alertAnnouncer : elements.statusAnnouncer;
+    if (!region || !message) return;
+    
+    const lastLine = region.lastElementChild;
+    const now = Date.now();
+    if (lastLine?.textContent === message && now - Number(lastLine.dataset.time) < ANNOUNCEMENTS.REPEAT_DELAY) return;
+    
+    const line = document.createElement('p');
+    line.textContent = message;
+    line.dataset.time = now;
+    region.appendChild(line);
+    
+    while (region.childElementCount > ANNOUNCEMENTS.HISTORY) {
+        region.firstElementChild.remove();
+    }
+};
+
+/**
+ * Announce a folder's status once it changes. The first status a row
+ * shows is part of adding it, so it is not announced.
+ * @param {Object} folder - Folder object
+ */
+const announceFolderStatus = (folder) => {
+    const announced = announcedFolderStates.get(folder);
+    announcedFolderStates.set(folder, { status: folder.status, step: 0 });
+    if (!announced || announced.status === folder.status) return;
+    
+    const isError = folder.status === FOLDER_STATUS.ERROR;
+    const status = folder.status === FOLDER_STATUS.COMPLETE && folder.savedToDisk 
+        ? 'Saved to disk' 
+        : getStatusText(folder.status);
+    const detail = isError && folder.error ? `: ${folder.error}` : '';
+    announce(`${folder.name}: ${status}${detail}`, isError);
+};
+
+/**
+ * Announce zipping progress each time it passes another step
+ * @param {Object} folder - Folder object
+ */
+const announceFolderProgress = (folder) => {
+    const announced = announcedFolderStates.get(folder);
+    if (!announced || folder.status !== FOLDER_STATUS.ZIPPING || folder.progress >= 100) return;
+    
+    const step = Math.floor(folder.progress / ANNOUNCEMENTS.PROGRESS_STEP);
+    if (step <= announced.step) return;
+    
+    announced.step = step;
+    announce(`${folder.name}: ${folder.progress}%`);
+};
+
+/**
+ * Make a folder row the one Tab stops at in the list
+ * @param {HTMLElement} row - Folder row element
+ */
+const setActiveRow = (row) => {
+    elements.foldersList.querySelectorAll('.folder-item').forEach(item => {
+        item.tabIndex = item === row ? 0 : -1;
+    });
+};
+
+/**
+ * Keep one row reachable with Tab after rows are added or removed
+ */
+const ensureActiveRow = () => {
+    const rows = elements.foldersList.querySelectorAll('.folder-item:not(.removing)');
+    if (rows.length > 0 && ![...rows].some(row => row.tabIndex === 0)) setActiveRow(rows[0]);
+};
+
+/**
+ * Move focus to a folder row
+ * @param {HTMLElement} row - Folder row element
+ */
+const focusRow = (row) => {
+    setActiveRow(row);
+    row.focus();
+    row.scrollIntoView({ behavior: getScrollBehavior(), block: 'nearest' });
+};
+
+/**
+ * Run a keyboard shortcut on a folder row. Actions go through the row's own
+ * buttons, so a shortcut does nothing the row does not currently offer.
+ * @param {Object} folder - Folder object
+ * @param {string} action - Value of ROW_SHORTCUTS
+ * @param {HTMLElement|undefined} nextRow - Row that takes focus after a removal
+ */
+const runRowShortcut = (folder, action, nextRow) => {
+    if (action === 'download') {
+        const archives = getFolderArchives(folder);
+        if (archives.length > 0) {
+            downloadSeparately(archives);
+        } else {
+            announce(`${folder.name} has no archive to download`);
+        }
+        return;
+    }
+    
+    const buttonIds = action === 'zip' ? ['zip', 'retry'] : [action];
+    const button = buttonIds
+        .map(id => getElementById(id, folder.id))
+        .find(candidate => candidate && !candidate.hidden && !candidate.disabled);
+    if (!button) return;
+    
+    button.click();
+    if (action === 'remove' && nextRow) focusRow(nextRow);
+};
+
+/**
+ * Arrow keys, Home and End move between folder rows; ROW_SHORTCUTS act on
+ * the row holding focus. Keys typed into form fields are left alone.
+ * @param {KeyboardEvent} event - Keydown event from the folder list
  */
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const handleFolderListKeydown = (event) => {
+    const row = event.target.closest('.folder-item');
+    if (!row || event.altKey || event.ctrlKey || event.metaKey) return;
+    if (event.target.matches('input, select, textarea')) return;
+    
+    const rows = [...elements.foldersList.querySelectorAll('.folder-item:not(.removing)')];
+    const index = rows.indexOf(row);
+    const targets = {
+        ArrowUp: index - 1,
+        ArrowLeft: index - 1,
+        ArrowDown: index + 1,
+        ArrowRight: index + 1,
+        Home: 0,
+        End: rows.length - 1
+    };
+    
+    if (event.key in targets) {
+        event.preventDefault();
+        const target = rows[targets[event.key]];
+        if (target) focusRow(target);
+        return;
+    }
+    
+    const action = ROW_SHORTCUTS[event.key.toLowerCase()];
+    const folder = state.folders.find(f => getElementById('folder', f.id) === row);
+    if (!action || !folder) return;
+    
+    event.preventDefault();
+    runRowShortcut(folder, action, rows[index + 1] || rows[index - 1]);
+};
 
 // ============================================================================
 // ERROR TOOLTIP MANAGEMENT
@@ -150,9 +766,12 @@ const showErrorTooltip = (element, message) => {
     
     const tooltip = document.createElement('div');
     tooltip.className = 'error-tooltip';
+    tooltip.id = `${element.id}-tooltip`;
     tooltip.textContent = message;
     element.style.position = 'relative';
+    element.setAttribute('aria-describedby', tooltip.id);
     element.appendChild(tooltip);
+    announce(message, true);
 };
 
 /**
@@ -161,7 +780,10 @@ const showErrorTooltip = (element, message) => {
  */
 const hideErrorTooltip = (element) => {
     const tooltip = element.querySelector('.error-tooltip');
-    if (tooltip) tooltip.remove();
+    if (!tooltip) return;
+    
+    tooltip.remove();
+    element.removeAttribute('aria-describedby');
 };
 
 /**
@@ -196,7 +818,7 @@ const validateFolders = () => {
         folderElement.classList.toggle('has-error', folder.isFile);
         
         if (folder.isFile) {
-            showErrorTooltip(folderElement, 'Only folders are allowed to zip');
+            showErrorTooltip(folderElement, LOOSE_FILE_MESSAGE);
         } else {
             hideErrorTooltip(folderElement);
         }
@@ -217,11 +839,13 @@ const validateAndHighlightFiles = () => {
     const firstFileElement = getElementById('folder', firstFile.id);
     if (firstFileElement) {
         firstFileElement.scrollIntoView({ 
-            behavior: 'smooth', 
+            behavior: getScrollBehavior(), 
             block: 'center' 
         });
     }
     
+    announce(`${unwantedFiles.length} loose ${unwantedFiles.length === 1 ? 'file needs' : 'files need'} a decision: zip, bundle or skip them`, true);
+    
     // Highlight all unwanted files
     unwantedFiles.forEach(file => {
         const folderElement = getElementById('folder', file.id);
@@ -229,7 +853,7 @@ const validateAndHighlightFiles = () => {
         
         let tooltip = folderElement.querySelector('.error-tooltip');
         if (!tooltip) {
-            showErrorTooltip(folderElement, 'Only folders are allowed to zip');
+            showErrorTooltip(folderElement, LOOSE_FILE_MESSAGE);
             tooltip = folderElement.querySelector('.error-tooltip');
         }
         
@@ -242,556 +866,5284 @@ const validateAndHighlightFiles = () => {
 };
 
 // ============================================================================
-// FILE HANDLING
+// FOLDER COLLISIONS
 // ============================================================================
 
 /**
- * Extract common root folder from file paths
- * @param {Array<Array<string>>} pathParts - Array of path part arrays
- * @returns {string|null} - Common root folder name or null
+ * Describe where a row's files came from
+ * @param {Object} folder - Folder object
+ * @returns {string} - Source path, or the row name for rows without one
  */
-const extractCommonRoot = (pathParts) => {
-    const uniqueRoots = new Set(pathParts.map(parts => parts[0]));
-    return uniqueRoots.size === 1 ? pathParts[0][0] : null;
-};
+const getFolderSource = (folder) => folder.rootPath || folder.name;
 
 /**
- * Extract folder name from file path
- * @param {Array<string>} pathParts - File path parts
- * @param {string|null} commonRoot - Common root folder name
- * @param {Array<Array<string>>} allPathParts - All path parts for context
- * @returns {string} - Extracted folder name
+ * Whether a row's files can still change. Rows that are queued, zipping
+ * or finished keep their files.
+ * @param {Object} folder - Folder object
+ * @returns {boolean} - True for pending and failed rows
  */
-const extractFolderName = (pathParts, commonRoot, allPathParts) => {
-    const hasNestedFolders = allPathParts.some(parts => parts.length > 1);
-    const isNested = pathParts.length > 1;
-    
-    if (commonRoot && hasNestedFolders && isNested) {
-        return pathParts[1];
-    }
-    
-    return pathParts[0];
-};
+const isFolderEditable = (folder) => 
+    [FOLDER_STATUS.PENDING, FOLDER_STATUS.ERROR].includes(folder.status);
 
 /**
- * Process uploaded files and organize them by folder
- * @param {FileList} files - The uploaded files
+ * Find the earlier row whose name a folder row repeats, ignoring case
+ * because the archives would overwrite each other on most file systems
+ * @param {Object} folder - Folder object
+ * @returns {Object|null} - Row already using the name
  */
-const processUploadedFiles = (files) => {
-    const fileArray = Array.from(files);
-    const pathParts = fileArray.map(file => file.webkitRelativePath.split('/'));
-    const commonRoot = extractCommonRoot(pathParts);
-    const folderMap = new Map();
+const findCollidingFolder = (folder) => {
+    if (folder.isFile || !isFolderEditable(folder)) return null;
     
-    // Group files by folder name
-    fileArray.forEach(file => {
-        const pathParts = file.webkitRelativePath.split('/');
-        const folderName = extractFolderName(pathParts, commonRoot, pathParts);
+    const name = folder.name.toLowerCase();
+    const index = state.folders.indexOf(folder);
+    return state.folders
+        .slice(0, index)
+        .find(other => !other.isFile && other.name.toLowerCase() === name) || null;
+};
+
+/**
+ * Suggest a free name for a colliding row, preferring its parent folder
+ * as a prefix so the two archives stay recognisable
+ * @param {Object} folder - Folder object
+ * @returns {string} - Unused row name
+ */
+const suggestFolderName = (folder) => {
+    const usedNames = new Set(state.folders.map(other => other.name.toLowerCase()));
+    const baseName = folder.parentName && folder.parentName !== folder.name
+        ? `${folder.parentName}-${folder.name}`
+        : folder.name;
+    
+    let candidate = baseName;
+    for (let copy = 2; usedNames.has(candidate.toLowerCase()); copy++) {
+        candidate = `${baseName} (${copy})`;
+    }
+    return candidate;
+};
+
+/**
+ * Build the collision panel showing both sources and the ways to resolve it
+ * @param {Object} folder - Row that repeats a name
+ * @param {Object} existing - Row already using the name
+ * @returns {string} - HTML string
+ */
+const renderCollisionPanel = (folder, existing) => `
+    <p>Another row is already named <strong>${escapeHtml(existing.name)}</strong>:</p>
+    <ul class="collision-sources">
+        <li>Added earlier: <code>${escapeHtml(getFolderSource(existing))}</code> · ${getFileCountText(existing)}</li>
+        <li>This row: <code>${escapeHtml(getFolderSource(folder))}</code> · ${getFileCountText(folder)}</li>
+    </ul>
+    <div class="collision-actions">
+        <input 
+            type="text" 
+            id="rename-${folder.id}" 
+            value="${escapeHtml(suggestFolderName(folder))}" 
+            aria-label="New name for this row"
+        >
+        <button class="secondary-btn" data-collision="rename">Rename</button>
+        <select id="merge-policy-${folder.id}" aria-label="File to keep when both rows have it">
+            <option value="${MERGE_POLICIES.NEWER}">Same file: keep newer</option>
+            <option value="${MERGE_POLICIES.LARGER}">Same file: keep larger</option>
+            <option value="${MERGE_POLICIES.BOTH}">Same file: keep both</option>
+        </select>
+        <button class="secondary-btn" data-collision="merge" title="Add this row's files to the earlier row">Merge</button>
+        <button class="secondary-btn" data-collision="replace" title="Remove the earlier row and keep this one">Replace</button>
+    </div>
+`;
+
+/**
+ * Show or hide the collision panel and identical content warning of every
+ * row. A panel is only rebuilt when its row collides with a different row,
+ * so a name being typed is kept.
+ */
+const updateCollisions = () => {
+    state.folders.forEach(folder => {
+        const panel = getElementById('collision', folder.id);
+        const warning = getElementById('duplicate', folder.id);
+        if (!panel || !warning) return;
+        
+        const existing = findCollidingFolder(folder);
+        panel.hidden = !existing;
+        if (!existing) {
+            delete panel.dataset.existing;
+        } else if (panel.dataset.existing !== String(existing.id)) {
+            panel.dataset.existing = existing.id;
+            panel.innerHTML = renderCollisionPanel(folder, existing);
+        }
+        
+        if (existing) {
+            const busy = [FOLDER_STATUS.QUEUED, FOLDER_STATUS.ZIPPING].includes(existing.status);
+            const canMerge = Boolean(folder.rootPath && existing.rootPath) && isFolderEditable(existing);
+            panel.querySelector('[data-collision="merge"]').disabled = !canMerge;
+            panel.querySelector('[data-collision="replace"]').disabled = busy;
+        }
+        
+        const original = state.folders.find(other => other.id === folder.duplicateOf);
+        warning.hidden = !original;
+        warning.textContent = original 
+            ? `Identical content to "${original.name}" (${getFolderSource(original)}), which is already in the list`
+            : '';
+    });
+};
+
+/**
+ * Rename a row, which resolves its collision when the name is free
+ * @param {Object} folder - Folder object
+ * @param {string} name - New row name
+ */
+const renameFolder = (folder, name) => {
+    const trimmedName = name.trim();
+    if (!trimmedName) return;
+    
+    folder.name = trimmedName;
+    const heading = getElementById('folder', folder.id)?.querySelector('.folder-details h3');
+    if (heading) heading.textContent = trimmedName;
+    updateUI();
+};
+
+/**
+ * Decide whether an incoming file replaces the file already at its path
+ * @param {File} current - File already in the row
+ * @param {File} incoming - File from the merged row
+ * @param {string} policy - MERGE_POLICIES.NEWER or MERGE_POLICIES.LARGER
+ * @returns {boolean} - True to keep the incoming file
+ */
+const shouldReplaceFile = (current, incoming, policy) => policy === MERGE_POLICIES.LARGER
+    ? incoming.size > current.size
+    : incoming.lastModified > current.lastModified;
+
+/**
+ * Add a suffix before the extension until the path is unused
+ * @param {string} path - Relative path
+ * @param {Map<string, File>} usedPaths - Paths already in the row
+ * @returns {string} - Unused path
+ */
+const getUnusedPath = (path, usedPaths) => {
+    const slash = path.lastIndexOf('/');
+    const dot = path.lastIndexOf('.');
+    const splitAt = dot > slash + 1 ? dot : path.length;
+    
+    let candidate = path;
+    for (let copy = 2; usedPaths.has(candidate); copy++) {
+        candidate = `${path.slice(0, splitAt)} (${copy})${path.slice(splitAt)}`;
+    }
+    return candidate;
+};
+
+/**
+ * Merge a row's files into the earlier row with the same name and remove it.
+ * Merged files are tracked under the earlier row's path, so filters, the
+ * file tree and regrouping treat them as part of that folder.
+ * @param {Object} folder - Row to merge away
+ * @param {Object} target - Row that receives the files
+ * @param {string} policy - One of MERGE_POLICIES
+ */
+const mergeFolderInto = async (folder, target, policy) => {
+    if (!folder.rootPath || !target.rootPath || !isFolderEditable(target)) return;
+    
+    const targetFiles = new Map(target.sourceFiles.map(file => 
+        [calculateRelativePath(file, target.rootPath), file]
+    ));
+    
+    folder.sourceFiles.forEach(file => {
+        let path = calculateRelativePath(file, folder.rootPath);
+        const current = targetFiles.get(path);
+        
+        if (current && policy === MERGE_POLICIES.BOTH) {
+            path = getUnusedPath(path, targetFiles);
+        } else if (current && !shouldReplaceFile(current, file, policy)) {
+            return;
+        }
+        
+        droppedFilePaths.set(file, `${target.rootPath}/${path}`);
+        targetFiles.set(path, file);
+    });
+    
+    const mergedDirectories = folder.sourceDirectories
+        .filter(path => path.startsWith(`${folder.rootPath}/`))
+        .map(path => `${target.rootPath}/${path.slice(folder.rootPath.length + 1)}`);
+    
+    target.sourceFiles = Array.from(targetFiles.values());
+    target.sourceDirectories = [...new Set([...target.sourceDirectories, ...mergedDirectories])];
+    target.ignoreFileRules = await loadIgnoreFileRules(target.sourceFiles, target.rootPath);
+    
+    applyFolderFilters(target);
+    updateFolderFileCount(target);
+    refreshFileTree(target);
+    removeFolder(folder);
+    resetFolderState(target);
+};
+
+/**
+ * Remove the earlier row with the same name and put this row in its place
+ * @param {Object} folder - Row to keep
+ * @param {Object} target - Row to remove
+ */
+const replaceFolder = (folder, target) => {
+    if ([FOLDER_STATUS.QUEUED, FOLDER_STATUS.ZIPPING].includes(target.status)) return;
+    
+    state.folders = state.folders.filter(other => other !== folder);
+    state.folders.splice(state.folders.indexOf(target), 0, folder);
+    getElementById('folder', target.id)?.before(getElementById('folder', folder.id));
+    removeFolder(target);
+};
+
+/**
+ * Run one of the collision panel actions of a row
+ * @param {Object} folder - Row that repeats a name
+ * @param {string} action - 'rename', 'merge' or 'replace'
+ */
+const resolveCollision = (folder, action) => {
+    const existing = findCollidingFolder(folder);
+    if (!existing) return;
+    
+    if (action === 'rename') {
+        renameFolder(folder, getElementById('rename', folder.id).value);
+    } else if (action === 'merge') {
+        mergeFolderInto(folder, existing, getElementById('merge-policy', folder.id).value).catch(error => {
+            console.error(`Failed to merge "${folder.name}":`, error);
+            folder.error = `Could not merge: ${error.message}`;
+            updateFolderStatus(folder);
+        });
+    } else if (action === 'replace') {
+        replaceFolder(folder, existing);
+    }
+};
+
+/**
+ * List a row's files by relative path, sorted by path
+ * @param {Object} folder - Folder object
+ * @returns {Array<{path: string, file: File}>} - Files with their paths
+ */
+const getFolderListing = (folder) => folder.files
+    .map(file => ({ path: calculateRelativePath(file, folder.rootPath), file }))
+    .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+
+/**
+ * Hash the content of a row: every relative path with the SHA-256 of its file.
+ * Files are hashed a slice at a time in the worker pool, keyed by the file
+ * list like the cache, and rows compared at the same time share one job.
+ * @param {Object} folder - Folder object
+ * @returns {Promise<string>} - Hex digest
+ */
+const getFolderContentHash = (folder) => {
+    const { files } = folder;
+    
+    if (!folderContentHashes.has(files)) {
+        const listing = getFolderListing(folder);
+        const hash = zipWorkerPool.run(files, { task: 'hash', blobs: listing.map(({ file }) => file) })
+            .then(digests => sha256Hex(new TextEncoder().encode(
+                listing.map(({ path }, index) => `${path}\0${digests[index]}`).join('\n')
+            )))
+            .catch(error => {
+                folderContentHashes.delete(files);
+                throw error;
+            });
+        folderContentHashes.set(files, hash);
+    }
+    
+    return folderContentHashes.get(files);
+};
+
+/**
+ * Find a row with exactly the same content. Only rows with the same paths
+ * and sizes are candidates, and one that also has the same modification
+ * times is taken as identical, so most additions read no file content.
+ * @param {Object} folder - Newly added row
+ * @returns {Promise<Object|null>} - Identical row
+ */
+const findIdenticalFolder = async (folder) => {
+    const listing = getFolderListing(folder);
+    const candidates = state.folders
+        .filter(other => 
+            other !== folder &&
+            !other.isFile &&
+            other.files.length === folder.files.length &&
+            other.totalSize === folder.totalSize
+        )
+        .map(other => ({ other, otherListing: getFolderListing(other) }))
+        .filter(({ otherListing }) => otherListing.every(({ path, file }, index) => 
+            path === listing[index].path && file.size === listing[index].file.size
+        ));
+    if (candidates.length === 0) return null;
+    
+    const unchanged = candidates.find(({ otherListing }) => otherListing.every(({ file }, index) => 
+        file.lastModified === listing[index].file.lastModified
+    ));
+    if (unchanged) return unchanged.other;
+    
+    const hash = await getFolderContentHash(folder);
+    for (const { other } of candidates) {
+        if (await getFolderContentHash(other) === hash) return other;
+    }
+    return null;
+};
+
+/**
+ * Warn when a newly added row holds the same content as another row
+ * @param {Object} folder - Newly added row
+ */
+const checkForIdenticalFolder = async (folder) => {
+    if (folder.isFile) return;
+    
+    try {
+        folder.duplicateOf = (await findIdenticalFolder(folder))?.id ?? null;
+        updateCollisions();
+    } catch (error) {
+        console.warn(`Could not compare ${folder.name} with other rows: ${error.message}`);
+    }
+};
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * Load settings from localStorage, falling back to defaults
+ * @returns {Object} - Settings object
+ */
+const loadSettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        return { ...DEFAULT_SETTINGS, ...stored };
+    } catch (error) {
+        console.warn(`Could not load settings: ${error.message}`);
+        return { ...DEFAULT_SETTINGS };
+    }
+};
+
+/**
+ * Persist current settings to localStorage
+ */
+const saveSettings = () => {
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(state.settings));
+    } catch (error) {
+        console.warn(`Could not save settings: ${error.message}`);
+    }
+};
+
+/**
+ * Reflect current settings in the settings panel
+ */
+const renderSettings = () => {
+    const { outputFormat, compressionMethod, compressionLevel, streamToDisk } = state.settings;
+    const isZip = outputFormat === 'zip';
+    
+    elements.streamToggle.checked = streamToDisk;
+    elements.outputFormat.value = outputFormat;
+    elements.compressionMethod.value = compressionMethod;
+    elements.compressionMethod.disabled = !isZip;
+    elements.compressionLevel.value = compressionLevel;
+    elements.compressionLevel.disabled = !isZip || compressionMethod === COMPRESSION_METHODS.STORE;
+    elements.compressionLevelValue.textContent = compressionLevel;
+    elements.maxArchiveSize.value = state.settings.maxArchiveSize || '';
+    elements.largeFileWarning.value = state.settings.largeFileWarning || '';
+    elements.largeFolderWarning.value = state.settings.largeFolderWarning || '';
+    elements.concurrency.value = state.settings.concurrency;
+    
+    elements.ignorePresets.querySelectorAll('input').forEach(input => {
+        input.checked = state.settings.ignorePresets.includes(input.value);
+    });
+    elements.excludePatterns.value = state.settings.excludePatterns;
+    elements.includePatterns.value = state.settings.includePatterns;
+    elements.ignoreFilesToggle.checked = state.settings.useIgnoreFiles;
+    elements.checksumManifestToggle.checked = state.settings.checksumManifest;
+    elements.jsonManifestToggle.checked = state.settings.jsonManifest;
+    elements.archiveChecksumToggle.checked = state.settings.archiveChecksum;
+    elements.embedReportToggle.checked = state.settings.embedBatchReport;
+    elements.updateDetection.value = state.settings.updateDetection;
+    elements.looseFiles.value = state.settings.looseFiles;
+    elements.downloadAllMode.value = getDownloadAllMode();
+    if (!state.downloadingAll) renderDownloadAllLabel();
+    elements.groupingDepth.value = state.settings.groupingDepth;
+    elements.includeRootToggle.checked = state.settings.includeRootFolder;
+    elements.unixPermissionsToggle.checked = state.settings.unixPermissions;
+    elements.folderNameTemplate.value = state.settings.folderNameTemplate;
+    elements.bundleNameTemplate.value = state.settings.bundleNameTemplate;
+    renderNamePreview();
+};
+
+/**
+ * Build an option for every archive format in the settings panel
+ */
+const renderOutputFormats = () => {
+    elements.outputFormat.innerHTML = Object.entries(ARCHIVE_FORMATS)
+        .map(([key, format]) => `<option value="${key}">${format.label}</option>`)
+        .join('');
+};
+
+/**
+ * Build an option for every Download All mode in the settings panel.
+ * Saving into a folder needs the File System Access API.
+ */
+const renderDownloadAllModes = () => {
+    elements.downloadAllMode.innerHTML = Object.entries(DOWNLOAD_ALL_MODES)
+        .map(([key, mode]) => {
+            const unsupported = key === 'directory' && !window.showDirectoryPicker;
+            return `<option value="${key}"${unsupported ? ' disabled' : ''}>${mode.label}</option>`;
+        })
+        .join('');
+};
+
+/**
+ * Build a checkbox for every ignore preset in the settings panel
+ */
+const renderIgnorePresets = () => {
+    elements.ignorePresets.innerHTML = Object.entries(IGNORE_PRESETS)
+        .map(([key, preset]) => `
+            <label class="setting-toggle" title="${preset.patterns.join(' ')}">
+                <input type="checkbox" value="${key}">
+                ${preset.label}
+            </label>
+        `)
+        .join('');
+};
+
+/**
+ * Apply and persist settings changes
+ * @param {Object} changes - Settings to update
+ */
+const updateSettings = (changes) => {
+    Object.assign(state.settings, changes);
+    saveSettings();
+    renderSettings();
+};
+
+/**
+ * Get the compression settings that apply to a folder
+ * @param {Object} folder - Folder object
+ * @returns {{method: string, level: number}} - Folder override or global settings
+ */
+const getFolderCompression = (folder) => folder.compression || {
+    method: state.settings.compressionMethod,
+    level: state.settings.compressionLevel
+};
+
+/**
+ * Check if a file is already compressed based on its extension
+ * @param {string} path - File path
+ * @returns {boolean} - True if deflating it again would be wasted effort
+ */
+const isPrecompressed = (path) => {
+    const lowerPath = path.toLowerCase();
+    return PRECOMPRESSED_EXTENSIONS.some(ext => lowerPath.endsWith(ext));
+};
+
+/**
+ * Get JSZip per-file compression options
+ * @param {string} path - File path in the zip
+ * @param {{method: string, level: number}} compression - Compression settings
+ * @returns {Object} - Options for zip.file()
+ */
+const getFileCompressionOptions = (path, { method, level }) => {
+    const useStore = method === COMPRESSION_METHODS.STORE || 
+        (method === COMPRESSION_METHODS.AUTO && isPrecompressed(path));
+    
+    return useStore
+        ? { compression: 'STORE' }
+        : { compression: 'DEFLATE', compressionOptions: { level } };
+};
+
+// ============================================================================
+// ARCHIVE NAMING
+// ============================================================================
+
+/**
+ * Pad a number to two digits
+ * @param {number} value - Number to pad
+ * @returns {string} - Padded number
+ */
+const padTwo = (value) => String(value).padStart(2, '0');
+
+/**
+ * Get a naming template from settings, falling back to the default when empty
+ * @param {string} key - Settings key of the template
+ * @returns {string} - Naming template
+ */
+const getNameTemplate = (key) => state.settings[key].trim() || DEFAULT_SETTINGS[key];
+
+/**
+ * Get the date and time tokens for a moment
+ * @param {Date} [now] - Moment to format
+ * @returns {{date: string, time: string}} - Filename-safe date and time
+ */
+const getDateTokens = (now = new Date()) => ({
+    date: `${now.getFullYear()}-${padTwo(now.getMonth() + 1)}-${padTwo(now.getDate())}`,
+    time: `${padTwo(now.getHours())}-${padTwo(now.getMinutes())}-${padTwo(now.getSeconds())}`
+});
+
+/**
+ * Replace {token} placeholders in a template; unknown tokens are kept as typed
+ * @param {string} template - Naming template
+ * @param {Object} tokens - Token values
+ * @returns {string} - Resolved name
+ */
+const applyNameTemplate = (template, tokens) => 
+    template.replace(/\{(\w+)\}/g, (match, key) => 
+        Object.hasOwn(tokens, key) ? String(tokens[key]) : match
+    );
+
+/**
+ * Make a name valid as a filename on Windows, macOS and Linux
+ * @param {string} name - Name to sanitize
+ * @returns {string} - Safe filename without extension
+ */
+const sanitizeFilename = (name) => {
+    let safeName = name
+        .replace(/[<>:"/\\|?*\x00-\x1f]/g, '_')
+        .trim()
+        .replace(/[. ]+$/, '')
+        .slice(0, 200);
+    
+    if (!safeName) safeName = 'archive';
+    if (WINDOWS_RESERVED_NAMES.test(safeName)) safeName = `_${safeName}`;
+    
+    return safeName;
+};
+
+/**
+ * Append ' (2)', ' (3)', ... to names that were already used.
+ * Comparison ignores case because Windows and macOS file systems do.
+ * @param {string[]} names - Names without extension
+ * @returns {string[]} - Unique names in the same order
+ */
+const deduplicateNames = (names) => {
+    const used = new Set();
+    
+    return names.map(name => {
+        let candidate = name;
+        for (let copy = 2; used.has(candidate.toLowerCase()); copy++) {
+            candidate = `${name} (${copy})`;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    });
+};
+
+/**
+ * Get the archive format of a folder: the format it was built with, or the
+ * current output format setting
+ * @param {Object} [folder] - Folder object
+ * @returns {Object} - Entry of ARCHIVE_FORMATS
+ */
+const getArchiveFormat = (folder) => 
+    ARCHIVE_FORMATS[folder?.archiveFormat || state.settings.outputFormat] || ARCHIVE_FORMATS.zip;
+
+/**
+ * Resolve the archive filename of every folder row.
+ * Names are resolved together so rows that would collide get unique names.
+ * @returns {Map<number, string>} - Folder ID to filename
+ */
+const getArchiveNames = () => {
+    const dateTokens = getDateTokens();
+    const baseNames = state.folders.map((folder, index) => 
+        sanitizeFilename(applyNameTemplate(getNameTemplate('folderNameTemplate'), {
+            ...dateTokens,
+            name: folder.name,
+            parent: folder.parentName || folder.name,
+            index: index + 1,
+            fileCount: folder.files.length
+        }))
+    );
+    
+    const uniqueNames = deduplicateNames(baseNames);
+    return new Map(state.folders.map((folder, index) => 
+        [folder.id, `${uniqueNames[index]}${getArchiveFormat(folder).extension}`]
+    ));
+};
+
+/**
+ * Get the archive filename of one folder row
+ * @param {Object} folder - Folder object
+ * @returns {string} - Filename
+ */
+const getArchiveName = (folder) => 
+    getArchiveNames().get(folder.id) || `${sanitizeFilename(folder.name)}${getArchiveFormat(folder).extension}`;
+
+/**
+ * Get the filename of the bundle produced by Download All
+ * @param {Object[]} folders - Folders included in the bundle
+ * @param {string} [extension] - Archive extension including the dot
+ * @returns {string} - Filename
+ */
+const getBundleName = (folders, extension = '.zip') => {
+    const parents = new Set(folders.map(folder => folder.parentName).filter(Boolean));
+    const parent = parents.size === 1 ? [...parents][0] : 'all_folders';
+    
+    const name = applyNameTemplate(getNameTemplate('bundleNameTemplate'), {
+        ...getDateTokens(),
+        name: parent,
+        parent,
+        index: 1,
+        fileCount: folders.reduce((total, folder) => total + folder.files.length, 0)
+    });
+    
+    return `${sanitizeFilename(name)}${extension}`;
+};
+
+/**
+ * Show example output of the naming templates in the settings panel
+ */
+const renderNamePreview = () => {
+    const sample = state.folders[0] || { id: 0, name: 'assets', parentName: 'project', files: [] };
+    const folderName = state.folders.length > 0
+        ? getArchiveName(sample)
+        : `${sanitizeFilename(applyNameTemplate(getNameTemplate('folderNameTemplate'), {
+            ...getDateTokens(),
+            name: sample.name,
+            parent: sample.parentName,
+            index: 1,
+            fileCount: 12
+        }))}${getArchiveFormat().extension}`;
+    
+    elements.namePreview.textContent = `${folderName} · ${getBundleName([sample])}`;
+};
+
+/**
+ * List the available naming tokens in the settings panel
+ */
+const renderNameTokens = () => {
+    elements.nameTokens.innerHTML = Object.entries(NAME_TEMPLATE_TOKENS)
+        .map(([token, description]) => `<code title="${description}">{${token}}</code>`)
+        .join(' ');
+};
+
+// ============================================================================
+// FILE FILTERS
+// ============================================================================
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Convert a gitignore-style glob to a regular expression source.
+ * '*' and '?' never cross '/', '**' matches across directories.
+ * @param {string} glob - Glob pattern
+ * @returns {string} - Regular expression source
+ */
+const globToRegExpSource = (glob) => {
+    let source = '';
+    
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        
+        if (char === '*' && glob[i + 1] === '*') {
+            // '**/' matches zero or more directories, a trailing '**' matches everything
+            const followedBySlash = glob[i + 2] === '/';
+            source += followedBySlash ? '(?:.*/)?' : '.*';
+            i += followedBySlash ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[' && glob.indexOf(']', i + 2) > i) {
+            const end = glob.indexOf(']', i + 2);
+            const range = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+            source += `[${range}]`;
+            i = end;
+        } else if (char === '\\' && i + 1 < glob.length) {
+            source += escapeRegExp(glob[++i]);
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+    
+    return source;
+};
+
+/**
+ * Parse one gitignore-style line into a rule
+ * @param {string} line - Pattern line
+ * @param {string} [base] - Directory the pattern is relative to
+ * @returns {Object|null} - Rule, or null for blank lines and comments
+ */
+const parseFilterRule = (line, base = '') => {
+    let pattern = line.replace(/(?<!\\)\s+$/, '').replace(/^\s+/, '');
+    if (!pattern || pattern.startsWith('#')) return null;
+    
+    const negate = pattern.startsWith('!');
+    if (negate) pattern = pattern.slice(1);
+    
+    const dirOnly = pattern.endsWith('/');
+    if (dirOnly) pattern = pattern.slice(0, -1);
+    
+    // Patterns containing a slash are anchored to their base directory
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+    if (!pattern) return null;
+    
+    const source = globToRegExpSource(pattern);
+    return {
+        regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`),
+        negate,
+        dirOnly,
+        base
+    };
+};
+
+/**
+ * Parse a block of gitignore-style patterns
+ * @param {string} text - Newline separated patterns
+ * @param {string} [base] - Directory the patterns are relative to
+ * @returns {Object[]} - Parsed rules
+ */
+const parseFilterRules = (text, base = '') => 
+    text.split(/\r?\n/)
+        .map(line => parseFilterRule(line, base))
+        .filter(Boolean);
+
+/**
+ * Check whether a rule applies to a path
+ * @param {Object} rule - Parsed rule
+ * @param {string} path - Path relative to the folder root
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean} - True if the rule matches
+ */
+const ruleMatches = (rule, path, isDirectory) => {
+    if (rule.dirOnly && !isDirectory) return false;
+    
+    if (rule.base) {
+        if (!path.startsWith(`${rule.base}/`)) return false;
+        return rule.regex.test(path.slice(rule.base.length + 1));
+    }
+    
+    return rule.regex.test(path);
+};
+
+/**
+ * Evaluate rules for one path; the last matching rule wins
+ * @param {Object[]} rules - Parsed rules
+ * @param {string} path - Path relative to the folder root
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean} - True if the path is matched and not negated
+ */
+const evaluateRules = (rules, path, isDirectory) => 
+    rules.reduce((matched, rule) => 
+        ruleMatches(rule, path, isDirectory) ? !rule.negate : matched, 
+    false);
+
+/**
+ * Check a file path against rules the way git does: a file inside a matched
+ * directory is matched too, and cannot be re-included by a negated pattern.
+ * @param {string} path - File path relative to the folder root
+ * @param {Object[]} rules - Parsed rules
+ * @returns {boolean} - True if the file is matched
+ */
+const matchesFilterRules = (path, rules) => {
+    if (rules.length === 0) return false;
+    
+    const parts = path.split('/');
+    for (let i = 1; i < parts.length; i++) {
+        if (evaluateRules(rules, parts.slice(0, i).join('/'), true)) return true;
+    }
+    
+    return evaluateRules(rules, path, false);
+};
+
+/**
+ * Check whether rules match a directory or one of its parents
+ * @param {string} path - Directory path relative to the folder root
+ * @param {Object[]} rules - Parsed rules
+ * @returns {boolean} - True if the directory is matched
+ */
+const matchesDirectoryRules = (path, rules) => {
+    const parts = path.split('/');
+    return parts.some((_, i) => evaluateRules(rules, parts.slice(0, i + 1).join('/'), true));
+};
+
+/**
+ * Build preset, exclude and include rules from the current settings
+ * @returns {{presets: Object[], exclude: Object[], include: Object[]}} - Parsed rules
+ */
+const getSettingsFilterRules = () => {
+    const presetPatterns = state.settings.ignorePresets
+        .flatMap(key => IGNORE_PRESETS[key]?.patterns || []);
+    
+    return {
+        presets: parseFilterRules(presetPatterns.join('\n')),
+        exclude: parseFilterRules(state.settings.excludePatterns),
+        include: parseFilterRules(state.settings.includePatterns)
+    };
+};
+
+/**
+ * Read .gitignore and .zipignore files found inside a folder
+ * @param {File[]} files - All files of the folder
+ * @param {string} rootPath - Path of the folder
+ * @returns {Promise<Object[]>} - Rules ordered from shallowest to deepest
+ */
+const loadIgnoreFileRules = async (files, rootPath) => {
+    const ignoreFiles = files
+        .map(file => ({ file, path: calculateRelativePath(file, rootPath) }))
+        .filter(({ path }) => IGNORE_FILE_NAMES.includes(path.split('/').pop()))
+        .sort((a, b) => a.path.split('/').length - b.path.split('/').length);
+    
+    const rules = [];
+    for (const { file, path } of ignoreFiles) {
+        const base = path.split('/').slice(0, -1).join('/');
+        try {
+            rules.push(...parseFilterRules(await file.text(), base));
+        } catch (error) {
+            console.warn(`Could not read ${path}: ${error.message}`);
+        }
+    }
+    
+    return rules;
+};
+
+/**
+ * Combine the filter settings with a folder's ignore file rules
+ * @param {Array} ignoreFileRules - Rules read from the folder's ignore files
+ * @returns {{include: Array, rules: Array}} - Include rules and exclude rules
+ */
+const getFolderFilterRules = (ignoreFileRules) => {
+    const { presets, exclude, include } = getSettingsFilterRules();
+    
+    // User patterns come last so they can re-include files with '!'
+    return {
+        include,
+        rules: [...presets, ...(state.settings.useIgnoreFiles ? ignoreFileRules : []), ...exclude]
+    };
+};
+
+/**
+ * Keep the files of a folder that pass its filter rules
+ * @param {File[]} files - Files of the folder
+ * @param {string} rootPath - Path of the folder
+ * @param {{include: Array, rules: Array}} filterRules - Rules from getFolderFilterRules
+ * @returns {File[]} - Files that would be zipped
+ */
+const filterFolderFiles = (files, rootPath, { include, rules }) => files.filter(file => {
+    const path = calculateRelativePath(file, rootPath);
+    if (path.split('/').pop() === '.zipignore') return false;
+    if (include.length > 0 && !matchesFilterRules(path, include)) return false;
+    return !matchesFilterRules(path, rules);
+});
+
+/**
+ * Apply ignore presets, user patterns and ignore files to a folder.
+ * Updates the folder's candidate files, then its selection.
+ * @param {Object} folder - Folder object
+ */
+const applyFolderFilters = (folder) => {
+    const { include, rules } = getFolderFilterRules(folder.ignoreFileRules);
+    
+    folder.candidateFiles = filterFolderFiles(folder.sourceFiles, folder.rootPath, { include, rules });
+    
+    // Include patterns select files, so they leave no room for empty directories
+    folder.directories = include.length > 0 ? [] : folder.sourceDirectories
+        .filter(path => path.startsWith(`${folder.rootPath}/`))
+        .map(path => path.slice(folder.rootPath.length + 1))
+        .filter(path => !matchesDirectoryRules(path, rules));
+    
+    applyFolderSelection(folder);
+};
+
+/**
+ * Remove files the user unticked in the file tree from a folder's files.
+ * Updates the folder's files, size and excluded count.
+ * @param {Object} folder - Folder object
+ */
+const applyFolderSelection = (folder) => {
+    folder.files = folder.candidateFiles.filter(file => 
+        !folder.deselectedPaths.has(calculateRelativePath(file, folder.rootPath))
+    );
+    
+    folder.excludedCount = folder.sourceFiles.length - folder.files.length;
+    folder.totalSize = folder.files.reduce((total, file) => total + file.size, 0);
+    scheduleSizeEstimate(folder);
+};
+
+/**
+ * Re-apply filters to every pending folder after the filter settings change
+ */
+const refreshFolderFilters = () => {
+    state.folders
+        .filter(folder => folder.status === FOLDER_STATUS.PENDING)
+        .forEach(folder => {
+            applyFolderFilters(folder);
+            updateFolderFileCount(folder);
+            refreshFileTree(folder);
+        });
+    updateUI();
+};
+
+// ============================================================================
+// FOLDER STATISTICS
+// ============================================================================
+
+/**
+ * Get the breakdown category of a file
+ * @param {string} name - File name or path
+ * @returns {string} - Key of FILE_CATEGORIES or OTHER_FILE_CATEGORY
+ */
+const getFileCategory = (name) => {
+    const lowerName = name.toLowerCase();
+    const category = Object.entries(FILE_CATEGORIES)
+        .find(([, extensions]) => extensions.some(ext => lowerName.endsWith(ext)));
+    return category ? category[0] : OTHER_FILE_CATEGORY;
+};
+
+/**
+ * Sum the size of a row's files per category, largest category first
+ * @param {File[]} files - Files of the row
+ * @returns {Array<{category: string, size: number}>} - Categories with files
+ */
+const getCategoryBreakdown = (files) => {
+    const sizes = new Map();
+    files.forEach(file => {
+        const category = getFileCategory(file.name);
+        sizes.set(category, (sizes.get(category) || 0) + file.size);
+    });
+    
+    return Array.from(sizes, ([category, size]) => ({ category, size }))
+        .sort((a, b) => b.size - a.size);
+};
+
+/**
+ * Convert a warning threshold setting to bytes
+ * @param {string} key - Settings key holding megabytes, 0 when off
+ * @returns {number} - Threshold in bytes, Infinity when off
+ */
+const getWarningThreshold = (key) => 
+    state.settings[key] > 0 ? state.settings[key] * 1024 * 1024 : Infinity;
+
+/**
+ * List the size warnings of a row
+ * @param {Object} folder - Folder object
+ * @returns {string[]} - Warning messages
+ */
+const getSizeWarnings = (folder) => {
+    const fileLimit = getWarningThreshold('largeFileWarning');
+    const folderLimit = getWarningThreshold('largeFolderWarning');
+    const largeFiles = folder.files.filter(file => file.size > fileLimit);
+    const warnings = [];
+    
+    if (largeFiles.length > 0) {
+        const names = largeFiles.slice(0, SIZE_ESTIMATE.LARGEST_FILES).map(file => file.name).join(', ');
+        const more = largeFiles.length > SIZE_ESTIMATE.LARGEST_FILES ? ', …' : '';
+        warnings.push(`${largeFiles.length} file${largeFiles.length !== 1 ? 's' : ''} over ${formatBytes(fileLimit)}: ${names}${more}`);
+    }
+    if (folder.totalSize > folderLimit) {
+        warnings.push(`Folder is over ${formatBytes(folderLimit)}`);
+    }
+    
+    return warnings;
+};
+
+/**
+ * Describe files whose compression level will not apply. Archives saved to
+ * disk and password protected archives are written one slice at a time, and
+ * files over STREAM_WRITER.WHOLE_ENTRY_SIZE are then deflated by the
+ * browser at its default level.
+ * @param {Object} folder - Folder object
+ * @returns {string|null} - Notice, or null when the level applies to every file
+ */
+const getCompressionLevelNotice = (folder) => {
+    if (getArchiveFormat(folder) !== ARCHIVE_FORMATS.zip) return null;
+    if (!state.settings.streamToDisk && !getFolderEncryption(folder)) return null;
+    
+    const compression = getFolderCompression(folder);
+    if (compression.level === ZIP_CONFIG.compressionOptions.level) return null;
+    
+    const count = folder.files.filter(file => file.size > STREAM_WRITER.WHOLE_ENTRY_SIZE && 
+        getFileCompressionOptions(calculateRelativePath(file, folder.rootPath), compression).compression === 'DEFLATE'
+    ).length;
+    if (count === 0) return null;
+    
+    const reason = state.settings.streamToDisk ? 'saved to disk' : 'password protected';
+    return `${count} file${count !== 1 ? 's' : ''} over ${formatBytes(STREAM_WRITER.WHOLE_ENTRY_SIZE)} ` +
+        `will use the browser's default compression level, not level ${compression.level}, ` +
+        `because the archive is ${reason}`;
+};
+
+/**
+ * Format an estimated duration
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Rounded duration such as "3 min 20 s"
+ */
+const formatDuration = (seconds) => {
+    if (seconds < 60) return `${Math.max(1, Math.round(seconds))} s`;
+    
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes} min ${Math.round(seconds % 60)} s`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+/**
+ * Build the statistics shown below a row's file count
+ * @param {Object} folder - Folder object
+ * @returns {string} - HTML string
+ */
+const renderFolderStatsContent = (folder) => {
+    const { files, totalSize, sizeEstimate } = folder;
+    if (files.length === 0) return '';
+    
+    const lines = [];
+    
+    if (files.length > 1) {
+        const largest = [...files]
+            .sort((a, b) => b.size - a.size)
+            .slice(0, SIZE_ESTIMATE.LARGEST_FILES)
+            .map(file => `${escapeHtml(file.name)} (${formatBytes(file.size)})`);
+        lines.push(`Largest: ${largest.join(', ')}`);
+        
+        const breakdown = getCategoryBreakdown(files).map(({ category, size }) => {
+            const percent = totalSize > 0 ? Math.round(size / totalSize * 100) : 0;
+            return `<span title="${formatBytes(size)}">${escapeHtml(category)} ${percent}%</span>`;
+        });
+        lines.push(`Types: ${breakdown.join(' · ')}`);
+    }
+    
+    lines.push(sizeEstimate
+        ? `Estimated: ~${formatBytes(sizeEstimate.size)} archived · ~${formatDuration(sizeEstimate.seconds)}`
+        : 'Estimating archive size…');
+    
+    const levelNotice = getCompressionLevelNotice(folder);
+    return [
+        ...lines.map(line => `<p>${line}</p>`),
+        ...getSizeWarnings(folder).map(warning => `<p class="row-warning">${escapeHtml(warning)}</p>`),
+        ...(levelNotice ? [`<p class="row-warning">${escapeHtml(levelNotice)}</p>`] : [])
+    ].join('');
+};
+
+/**
+ * Refresh the statistics of a row
+ * @param {Object} folder - Folder object
+ */
+const renderFolderStats = (folder) => {
+    const stats = getElementById('stats', folder.id);
+    if (stats) stats.innerHTML = renderFolderStatsContent(folder);
+};
+
+/**
+ * Estimate the archive size and zipping time of a row. TAR archives store
+ * every file and TAR.GZ deflates all of them, like a ZIP at the default level.
+ * The sample is compressed in the worker pool.
+ * @param {Object} folder - Folder object
+ * @param {*} jobKey - Worker pool key of the sample job
+ * @returns {Promise<{size: number, seconds: number}>} - Estimated bytes and seconds
+ */
+const estimateArchiveSize = async (folder, jobKey) => {
+    const format = getArchiveFormat(folder);
+    const compression = format === ARCHIVE_FORMATS.zip
+        ? getFolderCompression(folder)
+        : {
+            method: format === ARCHIVE_FORMATS.tar ? COMPRESSION_METHODS.STORE : COMPRESSION_METHODS.DEFLATE,
+            level: ZIP_CONFIG.compressionOptions.level
+        };
+    
+    const deflatedFiles = folder.files.filter(file => 
+        getFileCompressionOptions(calculateRelativePath(file, folder.rootPath), compression).compression === 'DEFLATE'
+    );
+    const deflatedSize = deflatedFiles.reduce((total, file) => total + file.size, 0);
+    const storedSize = folder.totalSize - deflatedSize;
+    
+    // Rows with nothing to deflate are still sampled for the copy speed
+    const sample = await zipWorkerPool.run(jobKey, {
+        task: 'sample',
+        level: compression.level,
+        samples: [...(deflatedFiles.length > 0 ? deflatedFiles : folder.files)]
+            .sort((a, b) => b.size - a.size)
+            .slice(0, SIZE_ESTIMATE.SAMPLE_FILES)
+            .map(file => file.slice(0, SIZE_ESTIMATE.SAMPLE_BYTES))
+    });
+    
+    return {
+        size: Math.round(storedSize + deflatedSize * sample.ratio),
+        seconds: deflatedSize / sample.deflateSpeed + storedSize / sample.storeSpeed
+    };
+};
+
+/**
+ * Estimate a row's archive size shortly after its files or settings change,
+ * so a burst of changes reads the sample only once
+ * @param {Object} folder - Folder object
+ */
+const scheduleSizeEstimate = (folder) => {
+    folder.sizeEstimate = null;
+    clearTimeout(sizeEstimateTimers.get(folder.id));
+    
+    const timer = setTimeout(() => updateSizeEstimate(folder, timer), SIZE_ESTIMATE.DELAY);
+    sizeEstimateTimers.set(folder.id, timer);
+};
+
+/**
+ * Run a scheduled estimate. A result is dropped when a newer estimate was
+ * scheduled while this one ran.
+ * @param {Object} folder - Folder object
+ * @param {number} timer - Timer that started this estimate
+ */
+const updateSizeEstimate = async (folder, timer) => {
+    if (folder.files.length === 0 || !state.folders.includes(folder)) {
+        sizeEstimateTimers.delete(folder.id);
+        return;
+    }
+    
+    try {
+        // Each estimate gets its own job, so a newer one never receives an older sample
+        const estimate = await estimateArchiveSize(folder, `estimate-${timer}`);
+        if (sizeEstimateTimers.get(folder.id) !== timer) return;
+        
+        sizeEstimateTimers.delete(folder.id);
+        folder.sizeEstimate = estimate;
+    } catch (error) {
+        // Stopping the queue cancels every pool job, including this one
+        if (error.name === 'AbortError') {
+            if (sizeEstimateTimers.get(folder.id) === timer) scheduleSizeEstimate(folder);
+            return;
+        }
+        console.warn(`Could not estimate the archive size of ${folder.name}: ${error.message}`);
+        return;
+    }
+    
+    renderFolderStats(folder);
+    renderBatchTotals();
+};
+
+/**
+ * Estimate every row that can still be zipped again after a compression
+ * or format setting changes
+ */
+const refreshSizeEstimates = () => {
+    state.folders.filter(isFolderEditable).forEach(folder => {
+        scheduleSizeEstimate(folder);
+        renderFolderStats(folder);
+    });
+    renderBatchTotals();
+};
+
+/**
+ * Show the file count, size and estimate of all rows in the header
+ */
+const renderBatchTotals = () => {
+    const folders = state.folders.filter(folder => !folder.isFile || folder.files.length > 0);
+    elements.batchTotals.hidden = folders.length === 0;
+    if (folders.length === 0) return;
+    
+    const fileCount = folders.reduce((total, folder) => total + (folder.storedFileCount ?? folder.files.length), 0);
+    const totalSize = folders.reduce((total, folder) => total + folder.totalSize, 0);
+    const estimated = folders.filter(folder => isFolderEditable(folder) && folder.files.length > 0);
+    const warningCount = folders.filter(folder => getSizeWarnings(folder).length > 0).length;
+    
+    const parts = [
+        `${folders.length} row${folders.length !== 1 ? 's' : ''}`,
+        `${fileCount} file${fileCount !== 1 ? 's' : ''}`,
+        formatBytes(totalSize)
+    ];
+    
+    if (estimated.length > 0 && estimated.every(folder => folder.sizeEstimate)) {
+        const size = estimated.reduce((total, folder) => total + folder.sizeEstimate.size, 0);
+        const seconds = estimated.reduce((total, folder) => total + folder.sizeEstimate.seconds, 0);
+        parts.push(`~${formatBytes(size)} archived in ~${formatDuration(seconds)}`);
+    } else if (estimated.length > 0) {
+        parts.push('estimating…');
+    }
+    if (warningCount > 0) {
+        parts.push(`${warningCount} row${warningCount !== 1 ? 's' : ''} over size limits`);
+    }
+    
+    elements.batchTotals.textContent = parts.join(' · ');
+};
+
+/**
+ * Re-check size warnings after a threshold changes
+ */
+const refreshSizeWarnings = () => {
+    state.folders.forEach(renderFolderStats);
+    renderBatchTotals();
+};
+
+// ============================================================================
+// PASSWORD PROTECTION
+// ============================================================================
+
+/**
+ * Score a password from 0 (too weak) to 4 (strong)
+ * @param {string} password - Password to score
+ * @returns {number} - Strength score
+ */
+const getPasswordStrength = (password) => {
+    if (password.length < 6 || COMMON_PASSWORDS.test(password)) return 0;
+    
+    const characterClasses = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/]
+        .filter(pattern => pattern.test(password)).length;
+    const lengthScore = password.length >= 16 ? 2 : password.length >= 10 ? 1 : 0;
+    const repetitive = /^(.)\1+$/.test(password) || new Set(password).size < 4;
+    
+    const score = lengthScore + Math.max(0, characterClasses - 1);
+    return repetitive ? 1 : Math.min(4, Math.max(1, score));
+};
+
+/**
+ * Render password fields for the batch panel or a folder row
+ * @param {number|string} suffix - Element ID suffix ('batch' or folder ID)
+ * @param {boolean} [isFolder] - Offer "use batch password" in a folder row
+ * @returns {string} - HTML markup
+ */
+const renderPasswordFields = (suffix, isFolder = false) => `
+    <div class="password-fields">
+        <select id="password-method-${suffix}" aria-label="Encryption">
+            ${isFolder ? '<option value="">Use batch password</option>' : ''}
+            <option value="${NO_ENCRYPTION}">No password</option>
+            <option value="${ENCRYPTION_METHODS.AES}">AES-256</option>
+            <option value="${ENCRYPTION_METHODS.ZIP_CRYPTO}">ZipCrypto (legacy)</option>
+        </select>
+        <input 
+            type="password" 
+            id="password-input-${suffix}" 
+            placeholder="Password" 
+            autocomplete="new-password" 
+            aria-label="Password"
+        >
+        <input 
+            type="password" 
+            id="password-confirm-${suffix}" 
+            placeholder="Confirm password" 
+            autocomplete="new-password" 
+            aria-label="Confirm password"
+        >
+        <meter 
+            id="password-strength-${suffix}" 
+            min="0" 
+            max="4" 
+            low="2" 
+            high="3" 
+            optimum="4" 
+            value="0" 
+            aria-label="Password strength"
+        ></meter>
+        <span class="password-message" id="password-message-${suffix}" aria-live="polite"></span>
+    </div>
+`;
+
+/**
+ * Read and validate a set of password fields, updating the strength meter
+ * and message
+ * @param {number|string} suffix - Element ID suffix
+ * @returns {{method: string, encryption: Object|null, error: string|null}} - Result
+ */
+const readPasswordFields = (suffix) => {
+    const method = getElementById('password-method', suffix).value;
+    const passwordInput = getElementById('password-input', suffix);
+    const confirmInput = getElementById('password-confirm', suffix);
+    const meter = getElementById('password-strength', suffix);
+    const message = getElementById('password-message', suffix);
+    
+    const usesPassword = Object.values(ENCRYPTION_METHODS).includes(method);
+    [passwordInput, confirmInput, meter].forEach(field => { field.hidden = !usesPassword; });
+    
+    const password = passwordInput.value;
+    const strength = getPasswordStrength(password);
+    meter.value = strength;
+    
+    let error = null;
+    if (usesPassword && !password) {
+        error = 'Enter a password';
+    } else if (usesPassword && password !== confirmInput.value) {
+        error = 'Passwords do not match';
+    }
+    
+    message.textContent = usesPassword
+        ? error || `${PASSWORD_STRENGTH_LABELS[strength]} password`
+        : '';
+    // An untouched empty form is only styled as an error once zipping is blocked by it
+    message.classList.toggle('error', Boolean(error) && confirmInput.value !== '');
+    
+    return {
+        method,
+        encryption: usesPassword && !error ? { method, password } : null,
+        error: usesPassword ? error : null
+    };
+};
+
+/**
+ * Update the batch password after its fields change
+ */
+const updateBatchPassword = () => {
+    const { method, encryption, error } = readPasswordFields('batch');
+    
+    state.batchEncryption = encryption;
+    state.batchPasswordError = error;
+    if (method !== state.settings.encryptionMethod) {
+        updateSettings({ encryptionMethod: method });
+    }
+    
+    state.folders.forEach(updatePasswordIndicator);
+    refreshSizeWarnings();
+};
+
+/**
+ * Update a folder's own password after its fields change
+ * @param {Object} folder - Folder object
+ */
+const updateFolderPassword = (folder) => {
+    const { method, encryption, error } = readPasswordFields(folder.id);
+    
+    if (!method) {
+        folder.encryption = null;
+    } else if (method === NO_ENCRYPTION) {
+        folder.encryption = { method: NO_ENCRYPTION };
+    } else {
+        folder.encryption = encryption;
+    }
+    
+    folder.passwordError = method ? error : null;
+    updatePasswordIndicator(folder);
+    renderFolderStats(folder);
+};
+
+/**
+ * Get the encryption that applies to a folder
+ * @param {Object} folder - Folder object
+ * @returns {{method: string, password: string}|null} - Encryption, or null for none
+ */
+const getFolderEncryption = (folder) => {
+    if (folder.encryption?.method === NO_ENCRYPTION) return null;
+    return folder.encryption || state.batchEncryption;
+};
+
+/**
+ * Show a lock on the row's password button when its archive will be encrypted
+ * @param {Object} folder - Folder object
+ */
+const updatePasswordIndicator = (folder) => {
+    const toggleBtn = getElementById('password-toggle', folder.id);
+    if (!toggleBtn) return;
+    
+    const encrypted = Boolean(getFolderEncryption(folder));
+    toggleBtn.textContent = encrypted ? '🔒 Password' : 'Password';
+    toggleBtn.classList.toggle('active', encrypted);
+};
+
+/**
+ * Expand or collapse the password form of a folder row
+ * @param {Object} folder - Folder object
+ */
+const togglePasswordForm = (folder) => {
+    const form = getElementById('password-form', folder.id);
+    const toggleBtn = getElementById('password-toggle', folder.id);
+    if (!form || !toggleBtn) return;
+    
+    form.hidden = !form.hidden;
+    toggleBtn.setAttribute('aria-expanded', String(!form.hidden));
+    if (!form.hidden) readPasswordFields(folder.id);
+};
+
+/**
+ * Find a password form that blocks zipping (mismatch or missing password)
+ * @param {Object[]} folders - Folders about to be zipped
+ * @returns {HTMLElement|null} - The first form with an error
+ */
+const findPasswordProblem = (folders) => {
+    const folder = folders.find(f => f.passwordError);
+    if (folder) {
+        const form = getElementById('password-form', folder.id);
+        if (form?.hidden) togglePasswordForm(folder);
+        form?.querySelector('.password-message')?.classList.add('error');
+        return form;
+    }
+    
+    // Rows without a password of their own use the batch password
+    if (state.batchPasswordError && folders.some(f => !f.encryption)) {
+        elements.batchPassword.closest('details')?.setAttribute('open', '');
+        elements.batchPassword.querySelector('.password-message')?.classList.add('error');
+        return elements.batchPassword;
+    }
+    return null;
+};
+
+// ============================================================================
+// FILE HANDLING
+// ============================================================================
+
+/**
+ * Extract common root folder from file paths
+ * @param {Array<Array<string>>} pathParts - Array of path part arrays
+ * @returns {string|null} - Common root folder name or null
+ */
+const extractCommonRoot = (pathParts) => {
+    const uniqueRoots = new Set(pathParts.map(parts => parts[0]));
+    return uniqueRoots.size === 1 ? pathParts[0][0] : null;
+};
+
+/**
+ * Get the index of the path part that names a file's row.
+ * Auto mode lists the children of a selected parent folder, or each
+ * dropped item when there is no common parent.
+ * @param {Array<string>} pathParts - File path parts
+ * @param {string|null} commonRoot - Common root folder name
+ * @param {Array<Array<string>>} allPathParts - All path parts for context
+ * @returns {number} - Index into pathParts
+ */
+const getFolderDepth = (pathParts, commonRoot, allPathParts) => {
+    const { groupingDepth } = state.settings;
+    
+    // Files above the chosen depth become rows of their own
+    if (groupingDepth !== 'auto') {
+        return Math.min(Number(groupingDepth), pathParts.length - 1);
+    }
+    
+    const hasNestedFolders = allPathParts.some(parts => parts.length > 1);
+    const isNested = pathParts.length > 1;
+    
+    return commonRoot && hasNestedFolders && isNested ? 1 : 0;
+};
+
+/**
+ * Group files into rows at the configured depth.
+ * Empty directories join the row whose folder contains them.
+ * @param {File[]} files - Files of one upload
+ * @param {string[]} [directories] - Paths of empty directories of the upload
+ * @returns {Array<{name: string, rootPath: string, parentName: string, files: File[], 
+ * directories: string[], isFile: boolean}>} - Row groups in the order they were first seen
+ */
+const groupFiles = (files, directories = []) => {
+    const allPathParts = files.map(file => getRelativePath(file).split('/'));
+    const commonRoot = extractCommonRoot(allPathParts);
+    const groups = new Map();
+    
+    files.forEach((file, index) => {
+        const pathParts = allPathParts[index];
+        const depth = getFolderDepth(pathParts, commonRoot, allPathParts);
+        const rootPath = pathParts.slice(0, depth + 1).join('/');
+        
+        if (!groups.has(rootPath)) {
+            groups.set(rootPath, {
+                name: pathParts[depth],
+                rootPath,
+                parentName: depth > 0 ? pathParts[depth - 1] : '',
+                files: [],
+                directories: [],
+                // A row is a file when the row name is the last part of the path
+                isFile: depth === pathParts.length - 1
+            });
+        }
+        
+        groups.get(rootPath).files.push(file);
+    });
+    
+    directories.forEach(path => {
+        const group = Array.from(groups.values())
+            .find(({ rootPath, isFile }) => !isFile && path.startsWith(`${rootPath}/`));
+        group?.directories.push(path);
+    });
+    
+    return Array.from(groups.values());
+};
+
+/**
+ * Add a row for each group, then apply the loose file setting
+ * @param {Object[]} groups - Row groups from groupFiles
+ * @param {number} uploadId - Upload the files came from, used when regrouping
+ * @returns {Promise<string[]>} - Names of the groups the filters left empty
+ */
+const addFolderGroups = async (groups, uploadId) => {
+    const skippedNames = [];
+    
+    for (const { name, rootPath, parentName, files, directories, isFile } of groups) {
+        const ignoreFileRules = isFile ? [] : await loadIgnoreFileRules(files, rootPath);
+        const added = addFolder(name, files, { ignoreFileRules, parentName, rootPath, directories, isFile, uploadId });
+        if (!added) skippedNames.push(name);
+    }
+    
+    if (state.settings.looseFiles !== LOOSE_FILE_MODES.ASK) {
+        resolveLooseFiles(state.settings.looseFiles);
+    }
+    return skippedNames;
+};
+
+/**
+ * Show which folders of the latest upload were left out because the
+ * filters exclude every file in them
+ * @param {string[]} names - Names of the skipped folders
+ */
+const renderSkippedFolders = (names) => {
+    const message = names.length === 0 
+        ? '' 
+        : `${names.length} folder${names.length !== 1 ? 's' : ''} skipped because the filters leave no files in ${names.length !== 1 ? 'them' : 'it'}: ${names.join(', ')}`;
+    
+    elements.skippedNotice.textContent = message;
+    elements.skippedNotice.hidden = !message;
+    announce(message);
+};
+
+/**
+ * Process uploaded files and organize them by folder
+ * @param {FileList} files - The uploaded files
+ * @param {string[]} [directories] - Empty directories, when the intake API can see them
+ * @param {Map<string, FileSystemHandle|null>} [handles] - Handles of the dropped items by name
+ */
+const processUploadedFiles = async (files, directories = [], handles = null) => {
+    const groups = groupFiles(Array.from(files), directories);
+    const uploadId = generateFolderId();
+    if (handles?.size > 0) droppedHandles.set(uploadId, handles);
+    
+    // Add each folder to the application
+    const initialRows = new Set(state.folders);
+    const skippedNames = await addFolderGroups(groups, uploadId);
+    renderSkippedFolders(skippedNames);
+    updateUI();
+    
+    // Log folder rows added
+    const rowsAdded = state.folders.filter(folder => !initialRows.has(folder)).length;
+    const unwantedFileRows = state.folders.filter(f => f.isFile).length;
+    console.log(`Folder rows added: ${rowsAdded}`);
+    console.log(`Folder rows with files (other than folders): ${unwantedFileRows}`);
+};
+
+/**
+ * Rebuild the pending rows after the grouping depth changes.
+ * Each upload is regrouped on its own so auto mode sees the same common root.
+ * Finished rows keep their archives; per-row choices of regrouped rows are reset.
+ */
+const regroupFolders = async () => {
+    const pendingRows = state.folders.filter(folder => folder.status === FOLDER_STATUS.PENDING);
+    const uploads = new Map();
+    
+    pendingRows.forEach(folder => {
+        if (!uploads.has(folder.uploadId)) uploads.set(folder.uploadId, { files: [], directories: [] });
+        uploads.get(folder.uploadId).files.push(...folder.sourceFiles);
+        uploads.get(folder.uploadId).directories.push(...folder.sourceDirectories);
+        getElementById('folder', folder.id)?.remove();
+    });
+    state.folders = state.folders.filter(folder => folder.status !== FOLDER_STATUS.PENDING);
+    
+    for (const [uploadId, { files, directories }] of uploads) {
+        await addFolderGroups(groupFiles(files, directories), uploadId);
+    }
+    updateUI();
+};
+
+/**
+ * Generate unique folder ID
+ * @returns {number} - Unique folder ID
+ */
+const generateFolderId = () => Date.now() + Math.random();
+
+/**
+ * Create folder object
+ * @param {string} name - Folder name
+ * @param {File[]} files - Files in the folder
+ * @param {Object} options - Folder options
+ * @param {Object[]} [options.ignoreFileRules] - Rules from ignore files inside the folder
+ * @param {string} [options.parentName] - Parent folder, if any
+ * @param {string|null} [options.rootPath] - Path of the row's folder or file; null when
+ * the row collects files from several places
+ * @param {string[]} [options.directories] - Paths of empty directories inside the folder
+ * @param {boolean} [options.isFile] - Whether the row is a loose file rather than a folder
+ * @param {number} [options.uploadId] - Upload the files came from
+ * @returns {Object} - Folder object
+ */
+const createFolderObject = (name, files, { 
+    ignoreFileRules = [], 
+    parentName = '', 
+    rootPath = null, 
+    directories = [], 
+    isFile = false, 
+    uploadId = 0 
+} = {}) => ({
+    id: generateFolderId(),
+    name,
+    parentName,
+    rootPath,
+    uploadId,
+    sourceHandle: rootPath ? droppedHandles.get(uploadId)?.get(rootPath.split('/')[0]) || null : null,
+    storedFileCount: null,
+    archiveStored: true,
+    sourceDirectories: directories,
+    directories: [],
+    sourceFiles: files,
+    ignoreFileRules,
+    candidateFiles: files,
+    deselectedPaths: new Set(),
+    files,
+    excludedCount: 0,
+    totalSize: 0,
+    status: FOLDER_STATUS.PENDING,
+    progress: 0,
+    zipBlob: null,
+    archiveParts: [],
+    archiveChecksums: [],
+    checksumError: null,
+    compression: null,
+    encryption: null,
+    passwordError: null,
+    archiveFormat: null,
+    archiveSize: null,
+    startedAt: null,
+    duration: null,
+    sizeEstimate: null,
+    duplicateOf: null,
+    isFile,
+    isDirectory: !isFile
+});
+
+/**
+ * Add a new folder to the application
+ * @param {string} name - Folder name
+ * @param {File[]} files - Files in the folder
+ * @param {Object} [options] - Row options, see createFolderObject
+ */
+const addFolder = (name, files, options = {}) => {
+    // A restored folder waiting for its files is replaced; other rows with the
+    // same name are kept and shown as a collision for the user to resolve
+    const placeholder = options.rootPath && state.folders.find(folder => 
+        folder.rootPath === options.rootPath && folder.status === FOLDER_STATUS.UNAVAILABLE
+    );
+    if (placeholder) {
+        state.folders = state.folders.filter(folder => folder !== placeholder);
+        getElementById('folder', placeholder.id)?.remove();
+    }
+    
+    const folder = createFolderObject(name, files, options);
+    applyFolderFilters(folder);
+    
+    // Nothing would end up in the archive
+    if (folder.files.length === 0) return false;
+    
+    state.folders.push(folder);
+    renderFolder(folder);
+    validateFolders();
+    checkForIdenticalFolder(folder);
+    return true;
+};
+
+// ============================================================================
+// DRAG & DROP INTAKE
+// ============================================================================
+
+/**
+ * Read every entry of a directory reader.
+ * readEntries() returns results in batches, so it is called until empty.
+ * @param {FileSystemDirectoryReader} reader - Directory reader
+ * @returns {Promise<FileSystemEntry[]>} - All child entries
+ */
+const readAllDirectoryEntries = async (reader) => {
+    const entries = [];
+    
+    while (true) {
+        const batch = await new Promise((resolve, reject) => 
+            reader.readEntries(resolve, reject)
+        );
+        if (batch.length === 0) return entries;
+        entries.push(...batch);
+    }
+};
+
+/**
+ * Recursively collect files from a FileSystemEntry (webkitGetAsEntry API)
+ * @param {FileSystemEntry} entry - File or directory entry
+ * @param {string} path - Relative path of the entry
+ * @param {File[]} files - Collected files
+ * @param {string[]} directories - Collected empty directory paths
+ */
+const collectFromEntry = async (entry, path, files, directories) => {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        droppedFilePaths.set(file, path);
+        files.push(file);
+        return;
+    }
+    
+    if (entry.isDirectory) {
+        const children = await readAllDirectoryEntries(entry.createReader());
+        if (children.length === 0) directories.push(path);
+        for (const child of children) {
+            await collectFromEntry(child, `${path}/${child.name}`, files, directories);
+        }
+    }
+};
+
+/**
+ * Recursively collect files from a FileSystemHandle (File System Access API)
+ * @param {FileSystemHandle} handle - File or directory handle
+ * @param {string} path - Relative path of the handle
+ * @param {File[]} files - Collected files
+ * @param {string[]} directories - Collected empty directory paths
+ */
+const collectFromHandle = async (handle, path, files, directories) => {
+    if (handle.kind === 'file') {
+        const file = await handle.getFile();
+        droppedFilePaths.set(file, path);
+        files.push(file);
+        return;
+    }
+    
+    let isEmpty = true;
+    for await (const child of handle.values()) {
+        isEmpty = false;
+        await collectFromHandle(child, `${path}/${child.name}`, files, directories);
+    }
+    if (isEmpty) directories.push(path);
+};
+
+/**
+ * Remember the handle of a dropped item under its name
+ * @param {Map<string, FileSystemHandle|null>} handles - Handles of one upload
+ * @param {FileSystemHandle} handle - Dropped file or directory handle
+ */
+const addDroppedHandle = (handles, handle) => {
+    handles.set(handle.name, handles.has(handle.name) ? null : handle);
+};
+
+/**
+ * Collect all files from a drop event, walking dropped folders recursively.
+ * Handles and entries are requested synchronously because the DataTransfer
+ * items become unavailable once the event handler yields. The entry is the
+ * fallback when the handle is missing or cannot be read.
+ * @param {DataTransfer} dataTransfer - Drop event data
+ * @param {string[]} [directories] - Receives the paths of empty dropped directories
+ * @param {Map<string, FileSystemHandle|null>} [handles] - Receives the dropped handles by name
+ * @returns {Promise<File[]>} - Dropped files with tracked relative paths
+ */
+const collectDroppedFiles = async (dataTransfer, directories = [], handles = new Map()) => {
+    const sources = Array.from(dataTransfer.items)
+        .filter(item => item.kind === 'file')
+        .map(item => ({
+            handle: item.getAsFileSystemHandle?.().catch(() => null),
+            entry: item.webkitGetAsEntry?.(),
+            file: item.getAsFile()
+        }));
+    
+    const files = [];
+    
+    for (const source of sources) {
+        const handle = await source.handle;
+        
+        if (handle) {
+            addDroppedHandle(handles, handle);
+            await collectFromHandle(handle, handle.name, files, directories);
+        } else if (source.entry) {
+            await collectFromEntry(source.entry, source.entry.name, files, directories);
+        } else if (source.file) {
+            files.push(source.file);
+        }
+    }
+    
+    return files;
+};
+
+/**
+ * Handle files dropped onto the upload section
+ * @param {DragEvent} event - Drop event
+ */
+const handleDrop = async (event) => {
+    event.preventDefault();
+    elements.uploadSection.classList.remove('drag-over');
+    
+    try {
+        const directories = [];
+        const handles = new Map();
+        const files = await collectDroppedFiles(event.dataTransfer, directories, handles);
+        if (files.length > 0) await processUploadedFiles(files, directories, handles);
+    } catch (error) {
+        console.error('Failed to read dropped items:', error);
+    }
+};
+
+/**
+ * Highlight a drop zone while items are dragged over it
+ * @param {DragEvent} event - Dragover event
+ */
+const handleDragOver = (event) => {
+    if (!event.dataTransfer.types.includes('Files')) return;
+    
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    event.currentTarget.classList.add('drag-over');
+};
+
+/**
+ * Remove the drag highlight once the pointer leaves a drop zone
+ * @param {DragEvent} event - Dragleave event
+ */
+const handleDragLeave = (event) => {
+    if (event.currentTarget.contains(event.relatedTarget)) return;
+    event.currentTarget.classList.remove('drag-over');
+};
+
+// ============================================================================
+// UI RENDERING
+// ============================================================================
+
+/**
+ * Get status badge text based on folder status
+ * @param {string} status - Folder status
+ * @returns {string} - Status text
+ */
+const getStatusText = (status) => {
+    const statusMap = {
+        [FOLDER_STATUS.PENDING]: 'Pending',
+        [FOLDER_STATUS.QUEUED]: 'Queued',
+        [FOLDER_STATUS.ZIPPING]: 'Zipping...',
+        [FOLDER_STATUS.COMPLETE]: 'Complete',
+        [FOLDER_STATUS.ERROR]: 'Failed',
+        [FOLDER_STATUS.UNAVAILABLE]: 'Needs access'
+    };
+    return statusMap[status] || 'Pending';
+};
+
+/**
+ * Get the file count and size summary shown in a folder row
+ * @param {Object} folder - Folder object
+ * @returns {string} - Summary text
+ */
+const getFileCountText = (folder) => {
+    const fileCount = folder.storedFileCount ?? folder.files.length;
+    const parts = [
+        `${fileCount} file${fileCount !== 1 ? 's' : ''}`,
+        formatBytes(folder.totalSize)
+    ];
+    
+    if (folder.excludedCount > 0) {
+        parts.push(`${folder.excludedCount} excluded`);
+    }
+    
+    return parts.join(' · ');
+};
+
+/**
+ * Update the file count summary of a folder row
+ * @param {Object} folder - Folder object
+ */
+const updateFolderFileCount = (folder) => {
+    const fileCount = getElementById('file-count', folder.id);
+    if (fileCount) fileCount.textContent = getFileCountText(folder);
+    renderFolderStats(folder);
+};
+
+/**
+ * Render folder item in the UI
+ * @param {Object} folder - Folder object to render
+ */
+const renderFolder = (folder) => {
+    const folderItem = document.createElement('div');
+    folderItem.className = 'folder-item';
+    folderItem.id = `folder-${folder.id}`;
+    folderItem.tabIndex = -1;
+    folderItem.setAttribute('role', 'listitem');
+    folderItem.setAttribute('aria-labelledby', `name-${folder.id}`);
+    folderItem.setAttribute('aria-keyshortcuts', 'Z D Delete');
+    announcedFolderStates.set(folder, { status: folder.status, step: 0 });
+    
+    const isZipping = folder.status === FOLDER_STATUS.ZIPPING;
+    const name = escapeHtml(folder.name);
+    
+    folderItem.innerHTML = `
+        <div class="folder-header">
+            <div class="folder-info">
+                <div class="folder-icon" aria-hidden="true">📁</div>
+                <div class="folder-details">
+                    <h3 id="name-${folder.id}">${name}</h3>
+                    <p class="file-count" id="file-count-${folder.id}">${getFileCountText(folder)}</p>
+                    <div class="folder-stats" id="stats-${folder.id}">${renderFolderStatsContent(folder)}</div>
+                    <button 
+                        class="tree-toggle-btn" 
+                        id="tree-toggle-${folder.id}" 
+                        aria-expanded="false" 
+                        aria-controls="tree-${folder.id}"
+                    >
+                        Show files
+                    </button>
+                </div>
+            </div>
+            <div class="status-box">
+                <span class="status-badge status-${folder.status}" id="status-${folder.id}">
+                    ${getStatusText(folder.status)}
+                </span>
+                <button 
+                    class="row-action-btn" 
+                    id="move-up-${folder.id}" 
+                    title="Move up in the queue" 
+                    aria-label="Move ${name} up in the queue"
+                >
+                    ↑
+                </button>
+                <button 
+                    class="row-action-btn" 
+                    id="move-down-${folder.id}" 
+                    title="Move down in the queue" 
+                    aria-label="Move ${name} down in the queue"
+                >
+                    ↓
+                </button>
+                <button class="row-action-btn" id="zip-${folder.id}" aria-keyshortcuts="Z">Zip</button>
+                <button class="row-action-btn" id="cancel-${folder.id}" hidden>Cancel</button>
+                <button class="row-action-btn" id="retry-${folder.id}" aria-keyshortcuts="Z" hidden>Retry</button>
+                <button class="row-action-btn" id="regrant-${folder.id}" hidden>Grant access</button>
+                <button class="download-btn" id="download-${folder.id}" aria-keyshortcuts="D">Download</button>
+                <button 
+                    class="download-btn" 
+                    id="sidecar-${folder.id}" 
+                    title="Download a .sha256 checksum file for this archive"
+                >
+                    SHA-256
+                </button>
+                <button 
+                    class="remove-folder-btn" 
+                    id="remove-${folder.id}" 
+                    title="Remove folder" 
+                    aria-label="Remove ${name}" 
+                    aria-keyshortcuts="Delete" 
+                    ${isZipping ? 'disabled' : ''}
+                >
+                    ×
+                </button>
+            </div>
+        </div>
+        <div class="folder-settings">
+            <label for="compression-${folder.id}">Compression</label>
+            <select class="compression-select" id="compression-${folder.id}">
+                <option value="">Global setting</option>
+                <option value="${COMPRESSION_METHODS.DEFLATE}">Deflate</option>
+                <option value="${COMPRESSION_METHODS.STORE}">Store</option>
+                <option value="${COMPRESSION_METHODS.AUTO}">Auto</option>
+            </select>
+            <input 
+                type="number" 
+                class="level-input" 
+                id="level-${folder.id}" 
+                min="1" 
+                max="9" 
+                title="Deflate level (1-9)" 
+                hidden
+            >
+            <button 
+                class="secondary-btn password-btn" 
+                id="password-toggle-${folder.id}" 
+                aria-expanded="false" 
+                aria-controls="password-form-${folder.id}"
+            >
+                Password
+            </button>
+            <button 
+                class="secondary-btn" 
+                id="update-${folder.id}" 
+                title="Pick an existing zip of this folder and update only what changed"
+            >
+                Update zip
+            </button>
+            <input type="file" id="update-input-${folder.id}" accept=".zip,application/zip" hidden>
+        </div>
+        <div class="password-form" id="password-form-${folder.id}" hidden>
+            ${renderPasswordFields(folder.id, true)}
+        </div>
+        <div class="collision-panel" id="collision-${folder.id}" hidden></div>
+        <p class="row-warning" id="duplicate-${folder.id}" hidden></p>
+        <fieldset class="file-tree" id="tree-${folder.id}" hidden></fieldset>
+        <div class="progress-container">
+            <div 
+                class="progress-bar" 
+                id="progress-bar-${folder.id}" 
+                role="progressbar" 
+                aria-label="Progress of ${name}" 
+                aria-valuemin="0" 
+                aria-valuemax="100" 
+                aria-valuenow="${folder.progress}"
+            >
+                <div class="progress-fill" id="progress-${folder.id}" style="width: ${folder.progress}%"></div>
+            </div>
+            <div class="progress-text" id="progress-text-${folder.id}" aria-hidden="true">${folder.progress}%</div>
+            <p class="current-file" id="current-file-${folder.id}"></p>
+        </div>
+        <p class="row-error" id="error-${folder.id}" hidden></p>
+        <div class="archive-parts" id="parts-${folder.id}" hidden></div>
+        <div class="archive-checksum" id="checksum-${folder.id}" hidden></div>
+        <div class="update-report" id="update-report-${folder.id}" hidden></div>
+    `;
+    
+    elements.foldersList.appendChild(folderItem);
+    
+    // Attach event listeners
+    getElementById('download', folder.id)?.addEventListener('click', () => 
+        downloadZip(folder)
+    );
+    getElementById('remove', folder.id)?.addEventListener('click', () => 
+        removeFolder(folder)
+    );
+    getElementById('sidecar', folder.id)?.addEventListener('click', () => 
+        downloadChecksumFile(folder)
+    );
+    getElementById('zip', folder.id)?.addEventListener('click', () => 
+        zipFolders([folder])
+    );
+    getElementById('retry', folder.id)?.addEventListener('click', () => 
+        zipFolders([folder])
+    );
+    getElementById('cancel', folder.id)?.addEventListener('click', () => 
+        cancelFolder(folder)
+    );
+    getElementById('regrant', folder.id)?.addEventListener('click', () => 
+        regrantFolderAccess(folder)
+    );
+    getElementById('move-up', folder.id)?.addEventListener('click', () => 
+        moveFolder(folder, -1)
+    );
+    getElementById('move-down', folder.id)?.addEventListener('click', () => 
+        moveFolder(folder, 1)
+    );
+    getElementById('update', folder.id)?.addEventListener('click', () => 
+        getElementById('update-input', folder.id)?.click()
+    );
+    getElementById('update-input', folder.id)?.addEventListener('change', (event) => {
+        const [baseArchive] = event.target.files;
+        event.target.value = '';
+        if (baseArchive) queueArchiveUpdate(folder, baseArchive);
+    });
+    getElementById('collision', folder.id)?.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-collision]');
+        if (button) resolveCollision(folder, button.dataset.collision);
+    });
+    getElementById('parts', folder.id)?.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-part]');
+        if (button) downloadArchivePart(folder, Number(button.dataset.part));
+    });
+    getElementById('compression', folder.id)?.addEventListener('change', (event) => 
+        setFolderCompression(folder, event.target.value)
+    );
+    getElementById('tree-toggle', folder.id)?.addEventListener('click', () => 
+        toggleFileTree(folder)
+    );
+    getElementById('password-toggle', folder.id)?.addEventListener('click', () => 
+        togglePasswordForm(folder)
+    );
+    getElementById('password-form', folder.id)?.addEventListener('input', () => 
+        updateFolderPassword(folder)
+    );
+    getElementById('tree', folder.id)?.addEventListener('change', (event) => 
+        handleTreeToggle(folder, event.target)
+    );
+    getElementById('level', folder.id)?.addEventListener('change', (event) => 
+        setFolderCompression(folder, folder.compression?.method, event.target.value)
+    );
+};
+
+/**
+ * Set or clear a folder's compression override
+ * @param {Object} folder - Folder object
+ * @param {string} method - Compression method, or empty to use global settings
+ * @param {number|string} [level] - Deflate level
+ */
+const setFolderCompression = (folder, method, level = state.settings.compressionLevel) => {
+    const levelInput = getElementById('level', folder.id);
+    
+    if (!method) {
+        folder.compression = null;
+        if (levelInput) levelInput.hidden = true;
+    } else {
+        const clampedLevel = Math.min(9, Math.max(1, Math.round(Number(level)) || 6));
+        folder.compression = { method, level: clampedLevel };
+        
+        if (levelInput) {
+            levelInput.value = clampedLevel;
+            levelInput.hidden = method === COMPRESSION_METHODS.STORE;
+        }
+    }
+    
+    scheduleSizeEstimate(folder);
+    renderFolderStats(folder);
+};
+
+/**
+ * Update folder status display in UI
+ * @param {Object} folder - Folder object
+ */
+const updateFolderStatus = (folder) => {
+    announceFolderStatus(folder);
+    
+    const statusBadge = getElementById('status', folder.id);
+    const downloadBtn = getElementById('download', folder.id);
+    const progressText = getElementById('progress-text', folder.id);
+    const currentFile = getElementById('current-file', folder.id);
+    const removeBtn = getElementById('remove', folder.id);
+    const compressionSelect = getElementById('compression', folder.id);
+    const levelInput = getElementById('level', folder.id);
+    const errorText = getElementById('error', folder.id);
+    
+    // Update remove button state
+    if (removeBtn) {
+        removeBtn.disabled = folder.status === FOLDER_STATUS.ZIPPING;
+    }
+    
+    // Queue controls
+    const isWaiting = [FOLDER_STATUS.PENDING, FOLDER_STATUS.QUEUED].includes(folder.status);
+    const rowActions = {
+        zip: folder.status === FOLDER_STATUS.PENDING && !folder.isFile,
+        cancel: [FOLDER_STATUS.QUEUED, FOLDER_STATUS.ZIPPING].includes(folder.status),
+        retry: folder.status === FOLDER_STATUS.ERROR,
+        regrant: folder.status === FOLDER_STATUS.UNAVAILABLE && Boolean(folder.sourceHandle),
+        'move-up': isWaiting,
+        'move-down': isWaiting
+    };
+    Object.entries(rowActions).forEach(([action, visible]) => {
+        const button = getElementById(action, folder.id);
+        if (button) button.hidden = !visible;
+    });
+    
+    if (errorText) {
+        const showError = [FOLDER_STATUS.ERROR, FOLDER_STATUS.UNAVAILABLE].includes(folder.status);
+        errorText.hidden = !showError || !folder.error;
+        errorText.textContent = showError ? folder.error || '' : '';
+    }
+    
+    // Compression can only change before the folder is zipped, or before a retry
+    const isPending = folder.status === FOLDER_STATUS.PENDING;
+    const isEditable = isPending || folder.status === FOLDER_STATUS.ERROR;
+    const fileTree = getElementById('tree', folder.id);
+    const passwordToggle = getElementById('password-toggle', folder.id);
+    const updateBtn = getElementById('update', folder.id);
+    if (updateBtn) updateBtn.disabled = !isPending;
+    if (compressionSelect) compressionSelect.disabled = !isEditable;
+    if (levelInput) levelInput.disabled = !isEditable;
+    if (fileTree) fileTree.disabled = !isEditable;
+    if (passwordToggle) passwordToggle.disabled = !isEditable;
+    
+    // Current file is only meaningful while zipping
+    if (currentFile && folder.status !== FOLDER_STATUS.ZIPPING) {
+        currentFile.textContent = '';
+    }
+    
+    // Handle completed state
+    if (folder.status === FOLDER_STATUS.COMPLETE) {
+        if (progressText) progressText.style.display = 'none';
+        
+        // Streamed archives are already on disk, so there is nothing to download
+        if (folder.savedToDisk) {
+            if (statusBadge) {
+                statusBadge.className = `status-badge status-${folder.status}`;
+                statusBadge.textContent = 'Saved to disk';
+            }
+            return;
+        }
+        
+        statusBadge?.remove();
+        if (folder.archiveParts.length > 0) {
+            renderArchiveParts(folder);
+        } else {
+            downloadBtn?.classList.add('visible');
+        }
+        renderArchiveChecksums(folder);
+        return;
+    }
+    
+    // Update status badge
+    if (statusBadge) {
+        statusBadge.className = `status-badge status-${folder.status}`;
+        statusBadge.textContent = getStatusText(folder.status);
+    }
+    
+    // Update progress text visibility
+    if (progressText) {
+        progressText.style.display = folder.status === FOLDER_STATUS.ZIPPING 
+            ? 'block' 
+            : 'none';
+    }
+};
+
+/**
+ * Update folder progress display in UI
+ * @param {Object} folder - Folder object
+ */
+const updateFolderProgress = (folder) => {
+    const progressBar = getElementById('progress-bar', folder.id);
+    const progressFill = getElementById('progress', folder.id);
+    const progressText = getElementById('progress-text', folder.id);
+    const currentFile = getElementById('current-file', folder.id);
+    
+    if (progressFill) {
+        progressFill.style.width = `${folder.progress}%`;
+    }
+    
+    if (progressBar) {
+        const isZipping = folder.status === FOLDER_STATUS.ZIPPING;
+        progressBar.setAttribute('aria-valuenow', folder.progress);
+        progressBar.setAttribute('aria-valuetext', isZipping && folder.currentFile 
+            ? `${folder.progress}%, ${folder.currentFile}` 
+            : `${folder.progress}%`);
+    }
+    announceFolderProgress(folder);
+    
+    if (currentFile && folder.status === FOLDER_STATUS.ZIPPING) {
+        currentFile.textContent = folder.currentFile || '';
+    }
+    
+    if (progressText) {
+        progressText.textContent = `${folder.progress}%`;
+        if (folder.status === FOLDER_STATUS.ZIPPING) {
+            progressText.style.display = 'block';
+        }
+    }
+};
+
+// ============================================================================
+// FILE TREE PREVIEW
+// ============================================================================
+
+/**
+ * Build a directory tree from a folder's candidate files
+ * @param {Object} folder - Folder object
+ * @returns {Object} - Root node with dirs (Map), files and size
+ */
+const buildFileTree = (folder) => {
+    const createNode = (name, path) => ({ name, path, dirs: new Map(), files: [], size: 0 });
+    const root = createNode(folder.name, '');
+    
+    folder.candidateFiles.forEach(file => {
+        const path = calculateRelativePath(file, folder.rootPath);
+        const parts = path.split('/');
+        let node = root;
+        node.size += file.size;
+        
+        parts.slice(0, -1).forEach((part, index) => {
+            if (!node.dirs.has(part)) {
+                node.dirs.set(part, createNode(part, parts.slice(0, index + 1).join('/')));
+            }
+            node = node.dirs.get(part);
+            node.size += file.size;
+        });
+        
+        node.files.push({ name: parts[parts.length - 1], path, size: file.size });
+    });
+    
+    return root;
+};
+
+/**
+ * Render the children of a tree node as nested markup
+ * @param {Object} node - Tree node
+ * @returns {string} - HTML markup
+ */
+const renderTreeNode = (node) => {
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    
+    const dirs = Array.from(node.dirs.values()).sort(byName).map(dir => `
+        <details class="tree-dir">
+            <summary>
+                <input type="checkbox" data-path="${escapeHtml(dir.path)}" data-type="dir" checked>
+                <span class="tree-name">📁 ${escapeHtml(dir.name)}</span>
+                <span class="tree-size">${formatBytes(dir.size)}</span>
+            </summary>
+            <div class="tree-children">${renderTreeNode(dir)}</div>
+        </details>
+    `);
+    
+    const files = node.files.sort(byName).map(file => `
+        <label class="tree-file">
+            <input type="checkbox" data-path="${escapeHtml(file.path)}" data-type="file" checked>
+            <span class="tree-name">${escapeHtml(file.name)}</span>
+            <span class="tree-size">${formatBytes(file.size)}</span>
+        </label>
+    `);
+    
+    return [...dirs, ...files].join('');
+};
+
+/**
+ * Sync tree checkboxes with the folder's deselected paths.
+ * Directories are indeterminate when only some of their files are selected.
+ * @param {Object} folder - Folder object
+ */
+const syncFileTreeCheckboxes = (folder) => {
+    const fileTree = getElementById('tree', folder.id);
+    if (!fileTree) return;
+    
+    const paths = folder.candidateFiles.map(file => calculateRelativePath(file, folder.rootPath));
+    
+    fileTree.querySelectorAll('input[data-type="file"]').forEach(input => {
+        input.checked = !folder.deselectedPaths.has(input.dataset.path);
+    });
+    
+    fileTree.querySelectorAll('input[data-type="dir"]').forEach(input => {
+        const prefix = `${input.dataset.path}/`;
+        const inside = paths.filter(path => path.startsWith(prefix));
+        const deselected = inside.filter(path => folder.deselectedPaths.has(path)).length;
+        
+        input.checked = deselected === 0;
+        input.indeterminate = deselected > 0 && deselected < inside.length;
+    });
+};
+
+/**
+ * Render the file tree of a folder into its row
+ * @param {Object} folder - Folder object
+ */
+const renderFileTree = (folder) => {
+    const fileTree = getElementById('tree', folder.id);
+    if (!fileTree) return;
+    
+    const root = buildFileTree(folder);
+    fileTree.innerHTML = root.files.length || root.dirs.size
+        ? renderTreeNode(root)
+        : '<p class="tree-empty">No files match the current filters</p>';
+    fileTree.dataset.rendered = 'true';
+    syncFileTreeCheckboxes(folder);
+};
+
+/**
+ * Re-render an already rendered file tree, e.g. after filters change
+ * @param {Object} folder - Folder object
+ */
+const refreshFileTree = (folder) => {
+    if (getElementById('tree', folder.id)?.dataset.rendered) {
+        renderFileTree(folder);
+    }
+};
+
+/**
+ * Expand or collapse the file tree of a folder row.
+ * The tree is only built the first time it is opened.
+ * @param {Object} folder - Folder object
+ */
+const toggleFileTree = (folder) => {
+    const fileTree = getElementById('tree', folder.id);
+    const toggleBtn = getElementById('tree-toggle', folder.id);
+    if (!fileTree || !toggleBtn) return;
+    
+    const expand = fileTree.hidden;
+    if (expand && !fileTree.dataset.rendered) renderFileTree(folder);
+    
+    fileTree.hidden = !expand;
+    toggleBtn.setAttribute('aria-expanded', String(expand));
+    toggleBtn.textContent = expand ? 'Hide files' : 'Show files';
+};
+
+/**
+ * Include or exclude a file or directory after its checkbox changes
+ * @param {Object} folder - Folder object
+ * @param {HTMLInputElement} input - Changed checkbox
+ */
+const handleTreeToggle = (folder, input) => {
+    if (folder.status !== FOLDER_STATUS.PENDING || !input.dataset.path) return;
+    
+    const { path, type } = input.dataset;
+    const affected = type === 'dir'
+        ? folder.candidateFiles
+            .map(file => calculateRelativePath(file, folder.rootPath))
+            .filter(filePath => filePath.startsWith(`${path}/`))
+        : [path];
+    
+    affected.forEach(filePath => {
+        if (input.checked) {
+            folder.deselectedPaths.delete(filePath);
+        } else {
+            folder.deselectedPaths.add(filePath);
+        }
+    });
+    
+    applyFolderSelection(folder);
+    syncFileTreeCheckboxes(folder);
+    updateFolderFileCount(folder);
+    updateUI();
+};
+
+// ============================================================================
+// UI STATE MANAGEMENT
+// ============================================================================
+
+/**
+ * Calculate UI state based on folders
+ * @returns {Object} - UI state object
+ */
+const calculateUIState = () => {
+    const folders = state.folders;
+    const validFolders = folders.filter(f => !f.isFile);
+    
+    return {
+        hasFolders: folders.length > 0,
+        hasUnwantedFiles: folders.some(f => f.isFile),
+        hasPendingFolders: validFolders.some(f => f.status === FOLDER_STATUS.PENDING),
+        hasQueuedFolders: validFolders.some(f => f.status === FOLDER_STATUS.QUEUED),
+        hasZippingFolders: validFolders.some(f => f.status === FOLDER_STATUS.ZIPPING),
+        hasCompletedFolders: folders.some(f => f.status === FOLDER_STATUS.COMPLETE),
+        hasDownloads: getDownloadAllFolders().length > 0,
+        allZippingComplete: folders.some(f => f.status === FOLDER_STATUS.COMPLETE) && 
+                           !validFolders.some(f => f.status === FOLDER_STATUS.ZIPPING) &&
+                           !validFolders.some(f => f.status === FOLDER_STATUS.QUEUED) &&
+                           !validFolders.some(f => f.status === FOLDER_STATUS.PENDING)
+    };
+};
+
+/**
+ * Update UI elements based on current state
+ */
+const updateUI = () => {
+    const uiState = calculateUIState();
+    
+    // Update empty state
+    elements.emptyState.style.display = uiState.hasFolders ? 'none' : 'block';
+    
+    // Keep the folder list reachable with Tab
+    ensureActiveRow();
+    
+    // Naming preview uses the first row once folders are added
+    renderNamePreview();
+    
+    // Update Zip All button; pending rows can join a running queue
+    if (uiState.hasPendingFolders) {
+        elements.zipAllBtn.style.display = 'inline-block';
+        elements.zipAllBtn.disabled = false;
+    } else {
+        elements.zipAllBtn.style.display = 'none';
+    }
+    
+    // Update queue buttons
+    const hasActiveJobs = uiState.hasZippingFolders || uiState.hasQueuedFolders;
+    const canStop = hasActiveJobs || state.downloadingAll;
+    elements.stopBtn.style.display = canStop ? 'inline-block' : 'none';
+    elements.stopBtn.disabled = !canStop;
+    elements.pauseBtn.style.display = hasActiveJobs || state.queuePaused ? 'inline-block' : 'none';
+    elements.pauseBtn.disabled = false;
+    elements.pauseBtn.textContent = state.queuePaused ? 'Resume Queue' : 'Pause Queue';
+    
+    // Rows cannot be regrouped while any of them is zipping
+    elements.groupingDepth.disabled = hasActiveJobs;
+    
+    // Rows that repeat a name show how to resolve it
+    updateCollisions();
+    renderBatchTotals();
+    
+    // Reloading for an update would drop running jobs
+    elements.updateReloadBtn.disabled = hasActiveJobs;
+    
+    // Update loose file buttons
+    [elements.cleanupBtn, elements.zipLooseBtn, elements.bundleLooseBtn].forEach(button => {
+        button.style.display = uiState.hasUnwantedFiles ? 'inline-block' : 'none';
+        button.disabled = !uiState.hasUnwantedFiles;
+    });
+    
+    // Update Download All button
+    if (uiState.allZippingComplete && uiState.hasDownloads) {
+        elements.downloadAllBtn.style.display = 'inline-block';
+        elements.downloadAllBtn.disabled = state.downloadingAll;
+    } else {
+        elements.downloadAllBtn.style.display = 'none';
+    }
+    
+    // Update Clear All button
+    if (uiState.hasFolders) {
+        elements.clearAllBtn.style.display = 'inline-block';
+        elements.clearAllBtn.disabled = false;
+    } else {
+        elements.clearAllBtn.style.display = 'none';
+    }
+    
+    scheduleSessionSave();
+};
+
+// ============================================================================
+// FOLDER MANAGEMENT
+// ============================================================================
+
+/**
+ * Remove folder from the application
+ * @param {Object} folder - Folder object to remove
+ */
+const removeFolder = (folder) => {
+    if (folder.status === FOLDER_STATUS.ZIPPING) return;
+    
+    const folderElement = getElementById('folder', folder.id);
+    if (!folderElement) return;
+    
+    // Remove from state, which also takes a queued folder out of the queue
+    state.folders = state.folders.filter(f => f.id !== folder.id);
+    queuedSinks.delete(folder.id);
+    queuedUpdates.delete(folder.id);
+    
+    // The queue may have run dry, which finishes the batch
+    if (folder.status === FOLDER_STATUS.QUEUED) processQueue();
+    
+    // Log remaining folder rows
+    const remainingRows = state.folders.length;
+    const remainingUnwantedFileRows = state.folders.filter(f => f.isFile).length;
+    console.log(`Removed folder row. Remaining folder rows: ${remainingRows}`);
+    console.log(`Folder rows with files (other than folders): ${remainingUnwantedFileRows}`);
+    
+    // Animate removal
+    folderElement.classList.add('removing');
+    setTimeout(() => {
+        folderElement.remove();
+        validateFolders();
+        updateUI();
+    }, getRemoveDelay());
+};
+
+/**
+ * Zip loose file rows individually, bundle them into one archive or skip them
+ * @param {string} mode - One of LOOSE_FILE_MODES other than ASK
+ */
+const resolveLooseFiles = (mode) => {
+    const looseRows = state.folders.filter(folder => folder.isFile);
+    if (looseRows.length === 0) return;
+    
+    if (mode === LOOSE_FILE_MODES.SKIP) {
+        removeUnwantedFiles();
+        return;
+    }
+    
+    if (mode === LOOSE_FILE_MODES.INDIVIDUAL) {
+        // Each file becomes a regular row holding just itself
+        looseRows.forEach(folder => {
+            folder.isFile = false;
+        });
+    } else if (mode === LOOSE_FILE_MODES.BUNDLE) {
+        state.folders = state.folders.filter(folder => !folder.isFile);
+        looseRows.forEach(folder => getElementById('folder', folder.id)?.remove());
+        
+        const usedNames = new Set(state.folders.map(folder => folder.name));
+        let name = LOOSE_FILES_BUNDLE_NAME;
+        for (let copy = 2; usedNames.has(name); copy++) {
+            name = `${LOOSE_FILES_BUNDLE_NAME}_${copy}`;
+        }
+        
+        // Bundled files sit at the archive root, so repeated names get a suffix
+        const bundledFiles = new Map();
+        looseRows.flatMap(folder => folder.sourceFiles).forEach(file => {
+            const path = getUnusedPath(file.name, bundledFiles);
+            bundledFiles.set(path, path === file.name ? file : renameLooseFile(file, path));
+        });
+        
+        addFolder(name, Array.from(bundledFiles.values()), {
+            parentName: looseRows[0].parentName,
+            uploadId: looseRows[0].uploadId
+        });
+    }
+    
+    validateFolders();
+    updateUI();
+};
+
+/**
+ * Copy a loose file under another name. The copy keeps its folder, so
+ * regrouping puts it back where the original was.
+ * @param {File} file - Loose file
+ * @param {string} name - New file name
+ * @returns {File} - Renamed copy
+ */
+const renameLooseFile = (file, name) => {
+    const renamed = new File([file], name, { type: file.type, lastModified: file.lastModified });
+    const path = getRelativePath(file);
+    droppedFilePaths.set(renamed, `${path.slice(0, path.lastIndexOf('/') + 1)}${name}`);
+    return renamed;
+};
+
+/**
+ * Remove all unwanted files from the application
+ */
+const removeUnwantedFiles = () => {
+    const unwantedFiles = state.folders.filter(folder => folder.isFile);
+    if (unwantedFiles.length === 0) return;
+    
+    const filesToRemove = unwantedFiles.length;
+    
+    // Animate removal of each file
+    unwantedFiles.forEach((file, index) => {
+        const folderElement = getElementById('folder', file.id);
+        if (!folderElement) return;
+        
+        folderElement.classList.add('removing');
+        
+        setTimeout(() => {
+            folderElement.remove();
+            
+            // Update state after last file is removed
+            if (index === unwantedFiles.length - 1) {
+                state.folders = state.folders.filter(f => !f.isFile);
+                validateFolders();
+                updateUI();
+                
+                // Update console log with remaining folder rows
+                const remainingRows = state.folders.length;
+                const remainingUnwantedFileRows = state.folders.filter(f => f.isFile).length;
+                console.log(`Removed ${filesToRemove} unwanted file row(s). Remaining folder rows: ${remainingRows}`);
+                console.log(`Folder rows with files (other than folders): ${remainingUnwantedFileRows}`);
+            }
+        }, getRemoveDelay());
+    });
+    
+    // Remove from state immediately
+    state.folders = state.folders.filter(f => !f.isFile);
+};
+
+// ============================================================================
+// WORKER POOL
+// ============================================================================
+
+/**
+ * Create a zip worker, or null when workers cannot be started (e.g. file://)
+ * @returns {Worker|null} - The worker or null
+ */
+const createZipWorker = () => {
+    try {
+        return new Worker(WORKER_CONFIG.SCRIPT_URL);
+    } catch (error) {
+        console.warn(`Zip workers unavailable, zipping on the main thread: ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * Create a pool that runs zip jobs in Web Workers.
+ * Jobs are keyed (by folder ID) so they can be cancelled individually.
+ * Falls back to a single main-thread slot when workers are unavailable.
+ * @param {Function} getSize - Returns the maximum number of concurrent workers
+ * @returns {Object} - Pool with run, cancel and cancelAll methods
+ */
+const createZipWorkerPool = (getSize) => {
+    const slots = [];
+    const queue = [];
+    const jobs = new Map();
+    let useInline = false;
+    
+    const capacity = () => (useInline ? 1 : getSize());
+    
+    const removeSlot = (slot) => {
+        slot.worker?.terminate();
+        slots.splice(slots.indexOf(slot), 1);
+    };
+    
+    const settle = (job, error, result) => {
+        if (job.slot) job.slot.job = null;
+        job.slot = null;
+        jobs.delete(job.key);
+        
+        if (error) {
+            job.reject(error);
+        } else {
+            job.resolve(result);
+        }
+        dispatch();
+    };
+    
+    const handleMessage = (slot, { data }) => {
+        const job = slot.job;
+        if (data.type === 'ready') {
+            slot.ready = true;
+            return;
+        }
+        if (!job || data.jobId !== job.id) return;
+        
+        if (data.type === 'progress') {
+            job.onProgress(data.percent, data.currentFile);
+        } else if (data.type === 'complete') {
+            settle(job, null, data.result);
+        } else {
+            settle(job, new Error(data.message));
+        }
+    };
+    
+    const handleError = (slot, event) => {
+        event.preventDefault();
+        const job = slot.job;
+        removeSlot(slot);
+        
+        // Only a worker that never reported ready failed to load its scripts
+        if (!slot.ready) {
+            useInline = true;
+            if (job) {
+                job.slot = null;
+                queue.unshift(job);
+            }
+            dispatch();
+            return;
+        }
+        
+        if (job) settle(job, new Error(event.message || 'Zip worker crashed'));
+    };
+    
+    const spawnSlot = () => {
+        const worker = useInline ? null : createZipWorker();
+        if (!worker) useInline = true;
+        
+        const slot = { worker, job: null, ready: false };
+        worker?.addEventListener('message', event => handleMessage(slot, event));
+        worker?.addEventListener('error', event => handleError(slot, event));
+        slots.push(slot);
+        return slot;
+    };
+    
+    const start = (slot, job) => {
+        slot.job = job;
+        job.slot = slot;
+        job.onStart();
+        
+        if (slot.worker) {
+            slot.worker.postMessage({ jobId: job.id, ...job.payload });
+            return;
+        }
+        
+        // Same tasks the worker runs, shared through archive.js
+        runWorkerTask(job.payload, (percent, currentFile) => {
+            if (slot.job === job) job.onProgress(percent, currentFile);
+        })
+            .then(result => slot.job === job && settle(job, null, result))
+            .catch(error => slot.job === job && settle(job, error));
+    };
+    
+    const dispatch = () => {
+        // The size is read on every dispatch, so a lower setting applies as jobs finish
+        while (queue.length > 0 && slots.filter(s => s.job).length < capacity()) {
+            const slot = slots.find(s => !s.job && (s.worker || useInline)) || spawnSlot();
+            start(slot, queue.shift());
+        }
+    };
+    
+    let nextJobId = 1;
+    
+    /**
+     * Queue a job
+     * @param {*} key - Key used to cancel the job
+     * @param {Object} payload - Entries and generate options, or another
+     * task from WORKER_TASKS
+     * @param {Object} callbacks - onStart() and onProgress(percent, currentFile)
+     * @returns {Promise<*>} - Resolves with the archive blob or task result
+     */
+    const run = (key, payload, { onStart = () => {}, onProgress = () => {} } = {}) => {
+        if (jobs.has(key)) return jobs.get(key).promise;
+        
+        const job = { id: nextJobId++, key, payload, onStart, onProgress, slot: null };
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        
+        jobs.set(key, job);
+        queue.push(job);
+        dispatch();
+        return job.promise;
+    };
+    
+    /**
+     * Cancel a queued or running job; its promise rejects with an AbortError
+     * @param {*} key - Job key
+     */
+    const cancel = (key) => {
+        const job = jobs.get(key);
+        if (!job) return;
+        
+        const queueIndex = queue.indexOf(job);
+        if (queueIndex >= 0) queue.splice(queueIndex, 1);
+        
+        // generateAsync cannot be interrupted, so the worker is replaced
+        if (job.slot?.worker) removeSlot(job.slot);
+        
+        settle(job, new DOMException('Zipping cancelled', 'AbortError'));
+    };
+    
+    return {
+        run,
+        cancel,
+        // Queued jobs go first so cancelling a running job does not start them
+        cancelAll: () => [...queue.map(job => job.key), ...jobs.keys()].forEach(cancel)
+    };
+};
+
+/**
+ * Shared zip worker pool, as large as the concurrency setting
+ * @type {Object}
+ */
+const zipWorkerPool = createZipWorkerPool(() => state.settings.concurrency);
+
+// ============================================================================
+// JOB QUEUE
+// ============================================================================
+
+/**
+ * Running zip jobs by folder ID
+ * @type {Map<number, {controller: AbortController, streamed: boolean}>}
+ */
+const runningJobs = new Map();
+
+/**
+ * Sink openers of queued folders that stream to disk, by folder ID
+ * @type {Map<number, Function>}
+ */
+const queuedSinks = new Map();
+
+/**
+ * Existing zips of queued folders that update them instead of zipping, by folder ID
+ * @type {Map<number, File>}
+ */
+const queuedUpdates = new Map();
+
+/**
+ * Callbacks waiting for the queue to have nothing left to run
+ * @type {Function[]}
+ */
+const queueIdleWaiters = [];
+
+/**
+ * Rows queued since the queue last ran dry and when the first was queued
+ * @type {{startedAt: number, folders: Set<Object>}|null}
+ */
+let currentBatch = null;
+
+/**
+ * Start queued folders in row order while there is capacity.
+ * Streamed folders run alone so only one archive is written at a time.
+ */
+const processQueue = () => {
+    const waiting = state.folders.filter(folder => 
+        folder.status === FOLDER_STATUS.QUEUED && !runningJobs.has(folder.id)
+    );
+    
+    for (const folder of state.queuePaused ? [] : waiting) {
+        const openSink = queuedSinks.get(folder.id) || null;
+        const isStreamRunning = Array.from(runningJobs.values()).some(job => job.streamed);
+        
+        if (runningJobs.size >= state.settings.concurrency) break;
+        if (runningJobs.size > 0 && (openSink || isStreamRunning)) break;
+        
+        const controller = new AbortController();
+        const baseArchive = queuedUpdates.get(folder.id);
+        runningJobs.set(folder.id, { controller, streamed: Boolean(openSink) });
+        queuedSinks.delete(folder.id);
+        queuedUpdates.delete(folder.id);
+        
+        const job = baseArchive 
+            ? updateFolderArchive(folder, baseArchive, controller.signal) 
+            : zipFolder(folder, openSink, controller.signal);
+        job.finally(() => {
+            runningJobs.delete(folder.id);
+            processQueue();
+        });
+    }
+    
+    const hasWork = runningJobs.size > 0 || (!state.queuePaused && waiting.length > 0);
+    if (!hasWork) queueIdleWaiters.splice(0).forEach(resolve => resolve());
+    
+    // A paused queue still holds its batch; the report waits for the rest
+    if (!hasWork && waiting.length === 0) finishBatchReport();
+    updateUI();
+};
+
+/**
+ * Add folders to the queue. Queued folders run in row order.
+ * @param {Object[]} folders - Folders to zip
+ * @param {Function|null} openSink - Opens a writable sink for streaming mode
+ * @returns {Promise<void>} - Resolves once the queue has nothing left to run
+ */
+const queueFolders = (folders, openSink) => {
+    currentBatch ??= { startedAt: Date.now(), folders: new Set() };
+    
+    folders.forEach(folder => {
+        currentBatch.folders.add(folder);
+        folder.status = FOLDER_STATUS.QUEUED;
+        folder.error = null;
+        folder.progress = 0;
+        if (openSink) queuedSinks.set(folder.id, openSink);
+        updateFolderStatus(folder);
+        updateFolderProgress(folder);
+    });
+    
+    const idle = new Promise(resolve => queueIdleWaiters.push(resolve));
+    processQueue();
+    return idle;
+};
+
+/**
+ * Cancel a folder's job. A queued folder leaves the queue, a running job is
+ * aborted; either way the folder returns to pending.
+ * @param {Object} folder - Folder object
+ */
+const cancelFolder = (folder) => {
+    queuedSinks.delete(folder.id);
+    queuedUpdates.delete(folder.id);
+    
+    const job = runningJobs.get(folder.id);
+    if (job) {
+        job.controller.abort();
+        zipWorkerPool.cancel(folder.id);
+    } else if (folder.status === FOLDER_STATUS.QUEUED) {
+        resetFolderState(folder);
+        processQueue();
+    }
+};
+
+/**
+ * Pause or resume the queue. Folders already zipping finish; queued
+ * folders wait until the queue is resumed.
+ */
+const toggleQueuePaused = () => {
+    state.queuePaused = !state.queuePaused;
+    processQueue();
+};
+
+/**
+ * Swap a waiting folder with the row above or below it, which also
+ * changes its place in the queue
+ * @param {Object} folder - Folder object
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+const moveFolder = (folder, offset) => {
+    const index = state.folders.indexOf(folder);
+    const neighbour = state.folders[index + offset];
+    if (!neighbour) return;
+    
+    state.folders[index] = neighbour;
+    state.folders[index + offset] = folder;
+    
+    const folderElement = getElementById('folder', folder.id);
+    const neighbourElement = getElementById('folder', neighbour.id);
+    if (!folderElement || !neighbourElement) return;
+    
+    if (offset < 0) {
+        neighbourElement.before(folderElement);
+    } else {
+        neighbourElement.after(folderElement);
+    }
+    updateCollisions();
+    scheduleSessionSave();
+};
+
+// ============================================================================
+// STREAMING OUTPUT
+// ============================================================================
+
+/**
+ * Register the service worker used for streamed downloads
+ * @returns {Promise<ServiceWorker|null>} - Active service worker or null
+ */
+const getDownloadServiceWorker = async () => {
+    if (!('serviceWorker' in navigator)) return null;
+    
+    try {
+        await registerServiceWorker();
+        const registration = await navigator.serviceWorker.ready;
+        return registration.active;
+    } catch (error) {
+        console.warn(`Streaming downloads unavailable: ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * Create a writable sink that streams into a browser download through the
+ * service worker. The service worker pulls one chunk at a time, so writes
+ * wait until the download is ready for more data.
+ * @param {ServiceWorker} serviceWorker - Active service worker
+ * @param {string} filename - Download filename
+ * @param {string} mimeType - Download content type
+ * @returns {Promise<Object>} - Sink with write, close and abort methods
+ */
+const createServiceWorkerSink = async (serviceWorker, filename, mimeType) => {
+    const { port1: port, port2 } = new MessageChannel();
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const waiting = [];
+    let pulls = 0;
+    let cancelled = false;
+    
+    const nextPull = () => new Promise((resolve, reject) => {
+        if (cancelled) return reject(new DOMException('Download cancelled', 'AbortError'));
+        if (pulls > 0) {
+            pulls--;
+            return resolve();
+        }
+        waiting.push({ resolve, reject });
+    });
+    
+    const registered = new Promise(resolve => {
+        port.onmessage = ({ data }) => {
+            if (data.type === 'registered') {
+                resolve();
+            } else if (data.type === 'pull') {
+                const writer = waiting.shift();
+                writer ? writer.resolve() : pulls++;
+            } else if (data.type === 'cancel') {
+                cancelled = true;
+                waiting.splice(0).forEach(writer => 
+                    writer.reject(new DOMException('Download cancelled', 'AbortError'))
+                );
+            }
+        };
+    });
+    
+    serviceWorker.postMessage({ type: 'register-download', id, filename, mimeType }, [port2]);
+    await registered;
+    
+    // Navigating a hidden iframe hands the response to the download manager
+    const iframe = document.createElement('iframe');
+    iframe.hidden = true;
+    iframe.src = `${STREAM_CONFIG.DOWNLOAD_PATH}${id}`;
+    document.body.appendChild(iframe);
+    
+    const cleanup = () => setTimeout(() => {
+        iframe.remove();
+        port.close();
+    }, STREAM_CONFIG.IFRAME_CLEANUP_DELAY);
+    
+    return {
+        write: async (chunk) => {
+            await nextPull();
+            port.postMessage({ chunk });
+        },
+        close: async () => {
+            await nextPull();
+            port.postMessage({ done: true });
+            cleanup();
+        },
+        abort: async () => {
+            port.postMessage({ error: 'Zipping cancelled' });
+            cleanup();
+        }
+    };
+};
+
+/**
+ * Ask the user where streamed archives should be written.
+ * Must run before any await in a click handler so the picker keeps the
+ * user activation.
+ * @param {Object[]} folders - Folders that will be zipped
+ * @returns {Promise<Function|null>} - Opens a sink for a folder and optional
+ * filename, or null when streaming is not supported in this browser
+ */
+const chooseStreamDestination = async (folders) => {
+    // Split archives may need several files, so they always get a directory
+    if (folders.length === 1 && !state.settings.maxArchiveSize && window.showSaveFilePicker) {
+        const format = getArchiveFormat(folders[0]);
+        const handle = await window.showSaveFilePicker({
+            suggestedName: getArchiveName(folders[0]),
+            types: [{
+                description: `${format.label} archive`,
+                accept: { [format.mimeType]: [format.extension] }
+            }]
+        });
+        return () => handle.createWritable();
+    }
+    
+    if (window.showDirectoryPicker) {
+        const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+        return async (folder, filename = getArchiveName(folder)) => {
+            const handle = await directory.getFileHandle(filename, { create: true });
+            return handle.createWritable();
+        };
+    }
+    
+    const serviceWorker = await getDownloadServiceWorker();
+    if (!serviceWorker) return null;
+    
+    return (folder, filename = getArchiveName(folder)) => createServiceWorkerSink(
+        serviceWorker, 
+        filename, 
+        getArchiveFormat(folder).mimeType
+    );
+};
+
+/**
+ * Wrap a sink opener so every chunk written through its sinks is reported
+ * @param {Function} openSink - Opens a writable sink
+ * @param {Function} onWrite - Called with the byte length of each chunk
+ * @returns {Function} - Sink opener with the same arguments
+ */
+const countSinkWrites = (openSink, onWrite) => async (...args) => {
+    const sink = await openSink(...args);
+    return {
+        write: (chunk) => {
+            onWrite(chunk.byteLength);
+            return sink.write(chunk);
+        },
+        close: () => sink.close(),
+        abort: (reason) => sink.abort(reason)
+    };
+};
+
+/**
+ * Write an already built archive into a writable sink in slices
+ * @param {Blob} blob - Archive
+ * @param {Object} sink - Writable sink
+ * @param {AbortSignal} signal - Cancels the write
+ * @returns {Promise<void>}
+ */
+const writeBlobToSink = async (blob, sink, signal) => {
+    const sliceSize = 1024 * 1024;
+    
+    try {
+        for (let offset = 0; offset < blob.size; offset += sliceSize) {
+            if (signal.aborted) throw new DOMException('Zipping cancelled', 'AbortError');
+            const slice = blob.slice(offset, offset + sliceSize);
+            await sink.write(new Uint8Array(await slice.arrayBuffer()));
+        }
+        await sink.close();
+    } catch (error) {
+        await Promise.resolve(sink.abort()).catch(() => {});
+        throw error;
+    }
+};
+
+/**
+ * Write an archive into a writable sink as it is built, one file slice at a
+ * time, so memory does not grow with the folder. Manifests need every file
+ * hashed first, which fills the first half of the progress bar.
+ * @param {Object} payload - Job payload
+ * @param {Object} sink - Writable sink (FileSystemWritableFileStream or compatible)
+ * @param {Object} options - onProgress(percent, currentFile) callback and abort signal
+ * @returns {Promise<void>}
+ */
+const streamArchiveToSink = async (payload, sink, { onProgress, signal }) => {
+    try {
+        let entries = payload.entries;
+        let reportProgress = onProgress;
+        if (payload.manifest) {
+            entries = await addManifestEntries(entries, payload.manifest, (percent, currentFile) => 
+                onProgress(Math.floor(percent / 2), currentFile)
+            );
+            reportProgress = (percent, currentFile) => onProgress(50 + Math.floor(percent / 2), currentFile);
+        }
+        
+        await streamArchive({ ...payload, entries }, (chunk) => {
+            throwIfCancelled(signal);
+            return sink.write(chunk);
+        }, reportProgress);
+        throwIfCancelled(signal);
+        await sink.close();
+    } catch (error) {
+        await Promise.resolve(sink.abort()).catch(() => {});
+        throw error;
+    }
+};
+
+// ============================================================================
+// SPLIT ARCHIVES
+// ============================================================================
+
+/**
+ * Estimate the space an entry takes in the archive, assuming no compression
+ * @param {string} path - Entry path
+ * @param {number} size - Uncompressed size in bytes
+ * @param {string} format - Output format key
+ * @returns {number} - Estimated size in bytes
+ */
+const estimateArchivedSize = (path, size, format) => {
+    if (format !== 'zip') return size + SPLIT_CONFIG.TAR_ENTRY_OVERHEAD;
+    
+    // Deflate grows incompressible data by a few bytes per block
+    const deflateGrowth = Math.ceil(size / SPLIT_CONFIG.DEFLATE_BLOCK_SIZE) * SPLIT_CONFIG.DEFLATE_BLOCK_OVERHEAD;
+    return size + deflateGrowth + SPLIT_CONFIG.ZIP_ENTRY_OVERHEAD + 2 * byteLength(path);
+};
+
+/**
+ * Pack entries into parts that stay under a size limit.
+ * Files are never split: a file larger than the limit gets a part of its own.
+ * @param {Array<{path: string, file: File}>} entries - Archive entries in order
+ * @param {string} format - Output format key
+ * @param {number} limit - Maximum part size in bytes
+ * @returns {Array<{entries: Object[], size: number}>} - Parts with their estimated size
+ */
+const splitZipEntries = (entries, format, limit) => {
+    const parts = [];
+    let part = null;
+    
+    entries.forEach(entry => {
+        const parents = entry.path.split('/').slice(0, -1)
+            .map((_, index, segments) => `${segments.slice(0, index + 1).join('/')}/`);
+        
+        // Each part repeats the directory entries its files need
+        const getCost = (directories) => parents
+            .filter(directory => !directories.has(directory))
+            .reduce(
+                (total, directory) => total + estimateArchivedSize(directory, 0, format),
+                estimateArchivedSize(entry.path, entry.file.size, format)
+            );
+        
+        if (!part || (part.entries.length > 0 && part.size + getCost(part.directories) > limit)) {
+            part = { entries: [], directories: new Set(), size: SPLIT_CONFIG.ARCHIVE_OVERHEAD };
+            parts.push(part);
+        }
+        
+        part.size += getCost(part.directories);
+        part.entries.push(entry);
+        parents.forEach(directory => part.directories.add(directory));
+    });
+    
+    return parts.map(({ entries, size }) => ({ entries, size }));
+};
+
+/**
+ * Get the filename of one part of a split archive, e.g. "photos_part2.zip"
+ * @param {Object} folder - Folder object
+ * @param {number} index - Zero-based part index
+ * @returns {string} - Filename
+ */
+const getArchivePartName = (folder, index) => {
+    const { extension } = getArchiveFormat(folder);
+    const name = getArchiveName(folder);
+    return `${name.slice(0, -extension.length)}_part${index + 1}${extension}`;
+};
+
+/**
+ * Build each part of a split archive in turn
+ * @param {Object} folder - Folder object to zip
+ * @param {Object} payload - Job payload for the whole folder
+ * @param {Array<{entries: Object[], size: number}>} parts - Planned parts
+ * @param {Function|null} openSink - Opens a writable sink for streaming mode
+ * @param {Object} callbacks - onStart() and onProgress(percent, currentFile), and the
+ * abort signal of the job
+ * @returns {Promise<Blob[]>} - Part archives, empty when written to disk
+ */
+const zipFolderParts = async (folder, payload, parts, openSink, { onStart, onProgress, signal }) => {
+    const totalSize = parts.reduce((total, part) => total + part.size, 0);
+    const blobs = [];
+    let doneSize = 0;
+    
+    onStart();
+    for (const [index, part] of parts.entries()) {
+        throwIfCancelled(signal);
+        
+        // Empty directories have no size, so they all go in the first part
+        const directories = index === 0 ? payload.directories : [];
+        const partPayload = { ...payload, entries: part.entries, directories };
+        const onPartProgress = (percent, currentFile) => onProgress(
+            Math.floor(((doneSize + (part.size * percent) / 100) / totalSize) * 100),
+            currentFile
+        );
+        
+        if (openSink) {
+            const sink = await openSink(folder, getArchivePartName(folder, index));
+            await streamArchiveToSink(partPayload, sink, { onProgress: onPartProgress, signal });
+        } else {
+            blobs.push(await zipWorkerPool.run(folder.id, partPayload, { onProgress: onPartProgress }));
+        }
+        doneSize += part.size;
+    }
+    
+    return blobs;
+};
+
+/**
+ * Show a download button for every part of a split archive
+ * @param {Object} folder - Folder object
+ */
+const renderArchiveParts = (folder) => {
+    const partsList = getElementById('parts', folder.id);
+    if (!partsList) return;
+    
+    partsList.innerHTML = folder.archiveParts
+        .map((blob, index) => `
+            <button class="download-btn visible" data-part="${index}">
+                ${escapeHtml(getArchivePartName(folder, index))} · ${formatBytes(blob.size)}
+            </button>
+        `)
+        .join('');
+    partsList.hidden = false;
+};
+
+/**
+ * Download one part of a split archive
+ * @param {Object} folder - Folder object
+ * @param {number} index - Zero-based part index
+ */
+const downloadArchivePart = (folder, index) => {
+    const blob = folder.archiveParts[index];
+    if (!blob) return;
+    triggerDownload(blob, getArchivePartName(folder, index));
+};
+
+// ============================================================================
+// INTEGRITY
+// ============================================================================
+
+/**
+ * Get the archives of a folder that are held in memory, with their filenames
+ * @param {Object} folder - Folder object
+ * @returns {Array<{name: string, blob: Blob}>} - Archives in download order
+ */
+const getFolderArchives = (folder) => folder.zipBlob
+    ? [{ name: getArchiveName(folder), blob: folder.zipBlob }]
+    : folder.archiveParts.map((blob, index) => ({ name: getArchivePartName(folder, index), blob }));
+
+/**
+ * Compute the SHA-256 of every in-memory archive of a folder in the worker
+ * pool, a slice at a time. Archives streamed to disk are never held in
+ * memory, so they are not hashed. The archive itself is fine when hashing
+ * fails, so that is kept as a warning on the row instead of failing the job.
+ * @param {Object} folder - Folder object
+ * @returns {Promise<void>} - Only rejects when the job was cancelled
+ */
+const computeArchiveChecksums = async (folder) => {
+    folder.currentFile = 'Computing archive checksum';
+    folder.checksumError = null;
+    updateFolderProgress(folder);
+    
+    try {
+        folder.archiveChecksums = await zipWorkerPool.run(folder.id, {
+            task: 'hash',
+            blobs: getFolderArchives(folder).map(({ blob }) => blob)
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        
+        console.warn(`Could not checksum "${folder.name}":`, error);
+        folder.archiveChecksums = [];
+        folder.checksumError = error.message;
+    }
+};
+
+/**
+ * Show the archive checksums and the sidecar download of a finished folder
+ * @param {Object} folder - Folder object
+ */
+const renderArchiveChecksums = (folder) => {
+    const checksumBox = getElementById('checksum', folder.id);
+    const sidecarBtn = getElementById('sidecar', folder.id);
+    const hasChecksums = folder.archiveChecksums.length > 0;
+    
+    sidecarBtn?.classList.toggle('visible', hasChecksums);
+    if (!checksumBox) return;
+    
+    const archives = getFolderArchives(folder);
+    checksumBox.innerHTML = folder.checksumError
+        ? `<p class="row-warning">Checksum not computed: ${escapeHtml(folder.checksumError)}</p>`
+        : folder.archiveChecksums
+            .map((checksum, index) => `
+                <p>
+                    SHA-256${archives.length > 1 ? ` ${escapeHtml(archives[index].name)}` : ''}: 
+                    <code>${checksum}</code>
+                </p>
+            `)
+            .join('');
+    checksumBox.hidden = !hasChecksums && !folder.checksumError;
+};
+
+/**
+ * Download a sha256sum compatible checksum file for a folder's archives
+ * @param {Object} folder - Folder object
+ */
+const downloadChecksumFile = (folder) => {
+    const archives = getFolderArchives(folder);
+    const lines = folder.archiveChecksums.map((checksum, index) => 
+        `${checksum}  ${archives[index].name}\n`
+    );
+    if (lines.length === 0) return;
+    
+    const blob = new Blob(lines, { type: 'text/plain' });
+    triggerDownload(blob, `${getArchiveName(folder)}.sha256`);
+};
+
+// ============================================================================
+// BATCH REPORT
+// ============================================================================
+
+/**
+ * Describe how one row of a batch ended
+ * @param {Object} folder - Finished or failed folder
+ * @returns {Object} - Report entry; sizes in bytes, duration in seconds
+ */
+const createReportEntry = (folder) => {
+    const isComplete = folder.status === FOLDER_STATUS.COMPLETE;
+    const archives = getFolderArchives(folder);
+    const includedFiles = new Set(folder.files);
+    
+    return {
+        folder: folder.name,
+        source: getFolderSource(folder),
+        status: isComplete ? 'complete' : 'failed',
+        archives: isComplete && archives.length > 0 ? archives.map(({ name }) => name) : [getArchiveName(folder)],
+        savedToDisk: Boolean(folder.savedToDisk),
+        fileCount: folder.files.length,
+        originalSize: folder.totalSize,
+        archiveSize: folder.archiveSize,
+        compressionRatio: folder.archiveSize !== null && folder.totalSize > 0 
+            ? Number((folder.archiveSize / folder.totalSize).toFixed(4)) 
+            : null,
+        durationSeconds: folder.duration === null ? null : Number(folder.duration.toFixed(1)),
+        sha256: folder.archiveChecksums,
+        skippedFiles: folder.sourceFiles
+            .filter(file => !includedFiles.has(file))
+            .map(file => calculateRelativePath(file, folder.rootPath)),
+        error: folder.error || null
+    };
+};
+
+/**
+ * Turn the rows of the batch that just ended into the report. Cancelled
+ * rows went back to pending and are left out.
+ */
+const finishBatchReport = () => {
+    if (!currentBatch) return;
+    
+    const { startedAt, folders } = currentBatch;
+    currentBatch = null;
+    
+    const finished = Array.from(folders).filter(folder => 
+        state.folders.includes(folder) &&
+        [FOLDER_STATUS.COMPLETE, FOLDER_STATUS.ERROR].includes(folder.status)
+    );
+    if (finished.length === 0) return;
+    
+    state.batchReport = {
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: new Date().toISOString(),
+        durationSeconds: Number(((Date.now() - startedAt) / 1000).toFixed(1)),
+        folders: finished.map(createReportEntry)
+    };
+    renderBatchReport();
+};
+
+/**
+ * Quote a value for CSV when it holds a separator, quote or line break.
+ * Lists are joined with semicolons so each row stays one line. Text that
+ * starts like a formula, such as a file named "=cmd.txt", or with a tab or
+ * carriage return gets a leading apostrophe so spreadsheets show it instead
+ * of evaluating it.
+ * @param {*} value - Cell value
+ * @returns {string} - CSV cell
+ */
+const toCsvValue = (value) => {
+    let text = Array.isArray(value) ? value.join('; ') : String(value ?? '');
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build the CSV export of a report, one line per row
+ * @param {Object} report - Batch report
+ * @returns {string} - CSV text
+ */
+const buildReportCsv = (report) => {
+    const columns = Object.keys(report.folders[0]);
+    return [columns, ...report.folders.map(entry => columns.map(column => entry[column]))]
+        .map(cells => cells.map(toCsvValue).join(','))
+        .join('\r\n') + '\r\n';
+};
+
+/**
+ * Get the report as files for downloading or embedding
+ * @param {Object} report - Batch report
+ * @returns {{csv: Blob, json: Blob}} - Report files
+ */
+const getReportFiles = (report) => ({
+    csv: new Blob([buildReportCsv(report)], { type: 'text/csv' }),
+    json: new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' })
+});
+
+/**
+ * Download the current report
+ * @param {string} type - 'csv' or 'json'
+ */
+const downloadBatchReport = (type) => {
+    if (!state.batchReport) return;
+    
+    const { date, time } = getDateTokens(new Date(state.batchReport.finishedAt));
+    triggerDownload(getReportFiles(state.batchReport)[type], `batch-report_${date}_${time}.${type}`);
+};
+
+/**
+ * Build the notes cell of a report row: the error or the skipped files
+ * @param {Object} entry - Report entry
+ * @returns {string} - HTML string
+ */
+const renderReportNotes = ({ error, skippedFiles }) => {
+    if (error) return `<span class="report-error">${escapeHtml(error)}</span>`;
+    if (skippedFiles.length === 0) return '';
+    
+    return `
+        <details>
+            <summary>${skippedFiles.length} skipped</summary>
+            <ul>${skippedFiles.map(path => `<li>${escapeHtml(path)}</li>`).join('')}</ul>
+        </details>
+    `;
+};
+
+/**
+ * Show the report panel, or hide it when there is no report
+ */
+const renderBatchReport = () => {
+    const report = state.batchReport;
+    elements.batchReport.hidden = !report;
+    if (!report) return;
+    
+    const completed = report.folders.filter(entry => entry.status === 'complete');
+    const failedCount = report.folders.length - completed.length;
+    const originalSize = completed.reduce((total, entry) => total + entry.originalSize, 0);
+    const archiveSize = completed.reduce((total, entry) => total + (entry.archiveSize || 0), 0);
+    
+    elements.reportSummary.textContent = [
+        `${completed.length} of ${report.folders.length} archived`,
+        failedCount > 0 ? `${failedCount} failed` : null,
+        `${formatBytes(originalSize)} → ${formatBytes(archiveSize)}`,
+        formatDuration(report.durationSeconds)
+    ].filter(Boolean).join(' · ');
+    
+    elements.reportRows.innerHTML = report.folders.map(entry => `
+        <tr class="${entry.status === 'failed' ? 'report-failed' : ''}">
+            <td title="${escapeHtml(entry.source)}">${escapeHtml(entry.folder)}</td>
+            <td>${entry.fileCount}</td>
+            <td>${formatBytes(entry.originalSize)}</td>
+            <td>${entry.archiveSize === null ? '–' : formatBytes(entry.archiveSize)}</td>
+            <td>${entry.compressionRatio === null ? '–' : `${Math.round(entry.compressionRatio * 100)}%`}</td>
+            <td>${entry.durationSeconds === null ? '–' : formatDuration(entry.durationSeconds)}</td>
+            <td>${entry.sha256.map(checksum => `<code title="${checksum}">${checksum.slice(0, 12)}…</code>`).join(' ')}</td>
+            <td>${renderReportNotes(entry)}</td>
+        </tr>
+    `).join('');
+};
+
+/**
+ * Close the report panel
+ */
+const dismissBatchReport = () => {
+    state.batchReport = null;
+    renderBatchReport();
+};
+
+// ============================================================================
+// ZIP OPERATIONS
+// ============================================================================
+
+/**
+ * Calculate a file's path relative to its row
+ * @param {File} file - File object
+ * @param {string|null} rootPath - Path of the row's folder
+ * @returns {string} - Relative path, or the file name for files outside the folder
+ */
+const calculateRelativePath = (file, rootPath) => {
+    const path = getRelativePath(file);
+    
+    return rootPath && path.startsWith(`${rootPath}/`) 
+        ? path.slice(rootPath.length + 1) 
+        : file.name;
+};
+
+/**
+ * Reset folder to pending state
+ * @param {Object} folder - Folder object to reset
+ */
+const resetFolderState = (folder) => {
+    folder.status = FOLDER_STATUS.PENDING;
+    folder.error = null;
+    folder.progress = 0;
+    folder.archiveFormat = null;
+    folder.archiveChecksums = [];
+    folder.checksumError = null;
+    updateFolderStatus(folder);
+    updateFolderProgress(folder);
+    updateUI();
+};
+
+/**
+ * Build the list of zip entries for a folder
+ * @param {Object} folder - Folder object
+ * @param {Object} [options] - Entry options
+ * @param {boolean} [options.includeRoot] - Put entries inside a top-level folder named after the row
+ * @returns {Array<{path: string, file: File, options: Object}>} - Files with their
+ * paths and compression options in the zip
+ */
+const buildZipEntries = (folder, { includeRoot = state.settings.includeRootFolder } = {}) => {
+    const compression = getFolderCompression(folder);
+    
+    // Loose files have no folder of their own to put them in
+    const prefix = includeRoot && folder.isDirectory ? `${folder.name}/` : '';
+    
+    return folder.files.map(file => {
+        const path = `${prefix}${calculateRelativePath(file, folder.rootPath)}`;
+        return { path, file, options: getFileCompressionOptions(path, compression) };
+    });
+};
+
+/**
+ * Build the archive paths of a folder's empty directories
+ * @param {Object} folder - Folder object
+ * @param {Object} [options] - Path options
+ * @param {boolean} [options.includeRoot] - Put directories inside a top-level folder named after the row
+ * @returns {string[]} - Directory paths ending with '/'
+ */
+const buildDirectoryPaths = (folder, { includeRoot = state.settings.includeRootFolder } = {}) => {
+    const prefix = includeRoot ? `${folder.name}/` : '';
+    return folder.directories.map(path => `${prefix}${path}/`);
+};
+
+/**
+ * Get the manifests the settings ask to embed in each archive
+ * @returns {{checksums: boolean, json: boolean}|null} - Manifest options, null for none
+ */
+const getManifestOptions = () => {
+    const { checksumManifest, jsonManifest } = state.settings;
+    return checksumManifest || jsonManifest 
+        ? { checksums: checksumManifest, json: jsonManifest } 
+        : null;
+};
+
+/**
+ * Throw an AbortError once a job has been cancelled
+ * @param {AbortSignal} signal - Abort signal of the job
+ */
+const throwIfCancelled = (signal) => {
+    if (signal.aborted) throw new DOMException('Zipping cancelled', 'AbortError');
+};
+
+/**
+ * Zip a single folder, either in the worker pool or streamed to disk.
+ * Cancelling returns the folder to pending; any other failure marks it as failed.
+ * @param {Object} folder - Folder object to zip
+ * @param {Function|null} openSink - Opens a writable sink for streaming mode
+ * @param {AbortSignal} signal - Aborts the job
+ */
+const zipFolder = async (folder, openSink, signal) => {
+    const onStart = () => {
+        folder.status = FOLDER_STATUS.ZIPPING;
+        folder.progress = 0;
+        folder.startedAt = Date.now();
+        updateFolderStatus(folder);
+        updateFolderProgress(folder);
+        updateUI();
+    };
+    
+    const onProgress = (percent, currentFile) => {
+        folder.progress = percent;
+        folder.currentFile = currentFile;
+        updateFolderProgress(folder);
+    };
+    
+    // Passwords only apply to ZIP archives
+    const format = state.settings.outputFormat;
+    const encryption = format === 'zip' ? getFolderEncryption(folder) : null;
+    const manifest = getManifestOptions();
+    const payload = {
+        entries: buildZipEntries(folder),
+        directories: buildDirectoryPaths(folder),
+        permissions: state.settings.unixPermissions,
+        options: ZIP_CONFIG,
+        format,
+        manifest,
+        encryption
+    };
+    folder.archiveFormat = format;
+    
+    const sizeLimit = state.settings.maxArchiveSize * SPLIT_CONFIG.BYTES_PER_MB;
+    const parts = sizeLimit > 0 ? splitZipEntries(payload.entries, format, sizeLimit) : [];
+    
+    // Archives written to disk are never held in memory, so their size is counted on the way out
+    let writtenSize = 0;
+    const openCountedSink = openSink && countSinkWrites(openSink, (size) => { writtenSize += size; });
+    
+    try {
+        if (parts.length > 1) {
+            folder.archiveParts = await zipFolderParts(folder, payload, parts, openCountedSink, { onStart, onProgress, signal });
+            folder.savedToDisk = Boolean(openSink);
+        } else if (openSink) {
+            onStart();
+            await streamArchiveToSink(payload, await openCountedSink(folder), { onProgress, signal });
+            folder.savedToDisk = true;
+        } else {
+            folder.zipBlob = await zipWorkerPool.run(folder.id, payload, { onStart, onProgress });
+        }
+        
+        if (state.settings.archiveChecksum) {
+            await computeArchiveChecksums(folder);
+        }
+        throwIfCancelled(signal);
+        
+        folder.archiveSize = folder.savedToDisk
+            ? writtenSize
+            : getFolderArchives(folder).reduce((total, { blob }) => total + blob.size, 0);
+    } catch (error) {
+        folder.zipBlob = null;
+        folder.archiveParts = [];
+        if (error.name === 'AbortError') return resetFolderState(folder);
         
-        if (!folderMap.has(folderName)) {
-            folderMap.set(folderName, []);
+        console.error(`Failed to zip "${folder.name}":`, error);
+        return markFolderFailed(folder, error);
+    }
+    
+    markFolderComplete(folder);
+};
+
+/**
+ * Get how long a folder's job has been running
+ * @param {Object} folder - Folder object
+ * @returns {number|null} - Seconds since the job started, null if it never started
+ */
+const getJobDuration = (folder) => 
+    folder.startedAt ? (Date.now() - folder.startedAt) / 1000 : null;
+
+/**
+ * Mark a folder as failed and show the error in its row
+ * @param {Object} folder - Folder object
+ * @param {Error} error - Error that stopped the job
+ */
+const markFolderFailed = (folder, error) => {
+    folder.status = FOLDER_STATUS.ERROR;
+    folder.error = error?.message || String(error);
+    folder.duration = getJobDuration(folder);
+    folder.archiveSize = null;
+    folder.progress = 0;
+    folder.currentFile = null;
+    folder.archiveFormat = null;
+    folder.archiveChecksums = [];
+    folder.checksumError = null;
+    
+    updateFolderStatus(folder);
+    updateFolderProgress(folder);
+    updateUI();
+};
+
+/**
+ * Mark a folder as zipped and refresh its row
+ * @param {Object} folder - Folder object
+ */
+const markFolderComplete = (folder) => {
+    folder.status = FOLDER_STATUS.COMPLETE;
+    folder.duration = getJobDuration(folder);
+    folder.progress = 100;
+    folder.currentFile = null;
+    
+    // A new archive is kept for the next visit even after earlier ones were purged
+    folder.archiveStored = true;
+    
+    // Update UI
+    updateFolderStatus(folder);
+    updateFolderProgress(folder);
+    updateUI();
+};
+
+/**
+ * Download a single folder zip
+ * @param {Object} folder - Folder object to download
+ */
+const downloadZip = (folder) => {
+    if (!folder.zipBlob) return;
+    triggerDownload(folder.zipBlob, getArchiveName(folder));
+};
+
+/**
+ * Cancels the Download All that is running, if any
+ * @type {AbortController|null}
+ */
+let downloadAllController = null;
+
+/**
+ * Get the Download All mode. Saving into a folder falls back to separate
+ * downloads in browsers without the File System Access API.
+ * @returns {string} - Key of DOWNLOAD_ALL_MODES
+ */
+const getDownloadAllMode = () => {
+    const mode = DOWNLOAD_ALL_MODES[state.settings.downloadAllMode] ? state.settings.downloadAllMode : 'nested';
+    return mode === 'directory' && !window.showDirectoryPicker ? 'separate' : mode;
+};
+
+/**
+ * Check whether a row goes into the flat archive as its finished archives
+ * instead of its source files. A password of its own would be lost in the
+ * shared archive, and rows restored without their files have nothing else.
+ * @param {Object} folder - Folder object
+ * @returns {boolean} - True if its archives are added as they are
+ */
+const keepsArchivesInFlatBundle = (folder) => 
+    folder.files.length === 0 || getFolderEncryption(folder) !== state.batchEncryption;
+
+/**
+ * Get the rows Download All hands over
+ * @param {string} [mode] - Key of DOWNLOAD_ALL_MODES
+ * @returns {Object[]} - Folders in row order
+ */
+const getDownloadAllFolders = (mode = getDownloadAllMode()) => state.folders.filter(folder => {
+    const inMemory = Boolean(folder.zipBlob || folder.archiveParts.length > 0);
+    if (mode !== 'flat' || folder.status !== FOLDER_STATUS.COMPLETE) return inMemory;
+    return inMemory || !keepsArchivesInFlatBundle(folder);
+});
+
+/**
+ * Get the batch report files that go with Download All when asked for
+ * @returns {Array<{name: string, blob: Blob}>} - CSV and JSON report, or nothing
+ */
+const getReportAttachments = () => {
+    if (!state.settings.embedBatchReport || !state.batchReport) return [];
+    
+    const { csv, json } = getReportFiles(state.batchReport);
+    return [
+        { name: 'batch-report.csv', blob: csv },
+        { name: 'batch-report.json', blob: json }
+    ];
+};
+
+/**
+ * Build one zip holding every archive. The archives are compressed
+ * already, so they are stored rather than deflated a second time.
+ * @param {Object[]} folders - Folders in the bundle
+ * @param {Array<{name: string, blob: Blob}>} files - Archives and report files
+ * @param {AbortSignal} signal - Cancels the download
+ * @returns {Promise<void>}
+ */
+const downloadNestedBundle = async (folders, files, signal) => {
+    const bundle = new JSZip();
+    files.forEach(({ name, blob }) => bundle.file(name, blob));
+    
+    const blob = await bundle.generateAsync({ type: 'blob', compression: 'STORE' });
+    throwIfCancelled(signal);
+    triggerDownload(blob, getBundleName(folders));
+};
+
+/**
+ * Ask the user where the flat Download All archive should be streamed.
+ * Must run before any await in the click handler so the picker keeps the
+ * user activation.
+ * @param {Object[]} folders - Folders in the bundle
+ * @returns {Promise<Function|null>} - Opens the sink, or null when streaming
+ * is not supported in this browser
+ */
+const chooseBundleDestination = async (folders) => {
+    const format = getArchiveFormat();
+    const filename = getBundleName(folders, format.extension);
+    
+    if (window.showSaveFilePicker) {
+        const handle = await window.showSaveFilePicker({
+            suggestedName: filename,
+            types: [{
+                description: `${format.label} archive`,
+                accept: { [format.mimeType]: [format.extension] }
+            }]
+        });
+        return () => handle.createWritable();
+    }
+    
+    const serviceWorker = await getDownloadServiceWorker();
+    if (!serviceWorker) return null;
+    
+    return () => createServiceWorkerSink(serviceWorker, filename, format.mimeType);
+};
+
+/**
+ * Build one archive from the source files with each row as a top-level
+ * directory named after its archive. Loose file rows sit at the root.
+ * Rows that keep their own archives add them at the root as they are.
+ * With a sink the archive is streamed to disk instead of built in memory.
+ * @param {Object[]} folders - Folders in the bundle
+ * @param {Function|null} openSink - Opens a writable sink for streaming mode
+ * @param {Object} options - onProgress(percent, currentFile) callback and abort signal
+ * @returns {Promise<void>}
+ */
+const downloadFlatBundle = async (folders, openSink, { onProgress, signal }) => {
+    const format = state.settings.outputFormat;
+    const archiveNames = getArchiveNames();
+    const usedPaths = new Map();
+    const entries = [];
+    const directories = [];
+    
+    const addEntry = ({ path, file, options }) => {
+        const unusedPath = getUnusedPath(path, usedPaths);
+        usedPaths.set(unusedPath, file);
+        entries.push({ path: unusedPath, file, options });
+    };
+    const addStoredFile = ({ name, blob }) => 
+        addEntry({ path: name, file: blob, options: { compression: 'STORE' } });
+    
+    folders.forEach(folder => {
+        if (keepsArchivesInFlatBundle(folder)) {
+            getFolderArchives(folder).forEach(addStoredFile);
+            return;
         }
         
-        folderMap.get(folderName).push(file);
+        const archiveName = archiveNames.get(folder.id);
+        const prefix = folder.isDirectory 
+            ? `${archiveName.slice(0, -getArchiveFormat(folder).extension.length)}/` 
+            : '';
+        buildZipEntries(folder, { includeRoot: false })
+            .forEach(entry => addEntry({ ...entry, path: `${prefix}${entry.path}` }));
+        directories.push(...buildDirectoryPaths(folder, { includeRoot: false }).map(path => `${prefix}${path}`));
     });
+    getReportAttachments().forEach(addStoredFile);
+    
+    const payload = {
+        entries,
+        directories,
+        permissions: state.settings.unixPermissions,
+        options: ZIP_CONFIG,
+        format,
+        manifest: getManifestOptions(),
+        encryption: format === 'zip' ? state.batchEncryption : null
+    };
+    
+    if (openSink) {
+        await streamArchiveToSink(payload, await openSink(), { onProgress, signal });
+    } else {
+        const blob = await zipWorkerPool.run(DOWNLOAD_ALL_JOB, payload, { onProgress });
+        throwIfCancelled(signal);
+        triggerDownload(blob, getBundleName(folders, getArchiveFormat().extension));
+    }
+};
+
+/**
+ * Start one download per archive, pausing between them
+ * @param {Array<{name: string, blob: Blob}>} files - Archives and report files
+ * @param {AbortSignal} signal - Stops the remaining downloads
+ * @returns {Promise<void>}
+ */
+const downloadSeparately = async (files, signal) => {
+    for (const [index, { name, blob }] of files.entries()) {
+        if (index > 0) await new Promise(resolve => setTimeout(resolve, SEPARATE_DOWNLOAD_DELAY));
+        throwIfCancelled(signal);
+        triggerDownload(blob, name);
+    }
+};
+
+/**
+ * Write every archive into a directory the user picks.
+ * The picker opens before anything else is awaited so it keeps the user
+ * activation of the click.
+ * @param {Array<{name: string, blob: Blob}>} files - Archives and report files
+ * @param {AbortSignal} signal - Stops the writes; the file being written is discarded
+ * @returns {Promise<void>}
+ */
+const saveToDirectory = async (files, signal) => {
+    const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+    
+    for (const { name, blob } of files) {
+        throwIfCancelled(signal);
+        const handle = await directory.getFileHandle(name, { create: true });
+        await writeBlobToSink(blob, await handle.createWritable(), signal);
+    }
+};
+
+/**
+ * Show the Download All button label of the current mode
+ */
+const renderDownloadAllLabel = () => {
+    elements.downloadAllBtn.textContent = DOWNLOAD_ALL_MODES[getDownloadAllMode()].button;
+};
+
+/**
+ * Hand over every finished archive the way the Download All setting asks for
+ * @returns {Promise<void>}
+ */
+const downloadAllZips = async () => {
+    const mode = getDownloadAllMode();
+    const folders = getDownloadAllFolders(mode);
+    if (folders.length === 0 || state.downloadingAll) return;
+    
+    const files = [...folders.flatMap(getFolderArchives), ...getReportAttachments()];
+    const controller = new AbortController();
+    const { signal } = controller;
+    let failure = null;
+    
+    hideErrorTooltip(elements.downloadAllBtn);
+    downloadAllController = controller;
+    state.downloadingAll = true;
+    updateUI();
+    
+    try {
+        if (mode === 'directory') {
+            await saveToDirectory(files, signal);
+        } else if (mode === 'separate') {
+            await downloadSeparately(files, signal);
+        } else if (mode === 'flat') {
+            // The save location is picked first, while the click still counts as user activation
+            const openSink = state.settings.streamToDisk ? await chooseBundleDestination(folders) : null;
+            await downloadFlatBundle(folders, openSink, {
+                onProgress: (percent) => {
+                    elements.downloadAllBtn.textContent = `Building archive ${percent}%`;
+                },
+                signal
+            });
+        } else {
+            await downloadNestedBundle(folders, files, signal);
+        }
+    } catch (error) {
+        // Closing the directory picker or stopping the queue is not a failure
+        if (error.name !== 'AbortError') {
+            console.error('Download All failed:', error);
+            failure = error;
+        }
+    }
+    
+    downloadAllController = null;
+    state.downloadingAll = false;
+    renderDownloadAllLabel();
+    updateUI();
+    if (failure) showErrorTooltip(elements.downloadAllBtn, `Download All failed: ${failure.message}`);
+};
+
+/**
+ * Queue folders for zipping after checking their passwords.
+ * Resolves once the queue has nothing left to run.
+ * @param {Object[]} folders - Pending or failed folders
+ * @returns {Promise<void>}
+ */
+const zipFolders = async (folders) => {
+    // Rows that repeat a name must be renamed, merged or replaced first
+    const collidingFolder = folders.find(findCollidingFolder);
+    if (collidingFolder) {
+        const panel = getElementById('collision', collidingFolder.id);
+        panel?.scrollIntoView({ behavior: getScrollBehavior(), block: 'center' });
+        getElementById('rename', collidingFolder.id)?.focus();
+        return;
+    }
+    
+    // Passwords must be confirmed before anything is zipped
+    const passwordProblem = state.settings.outputFormat === 'zip' && findPasswordProblem(folders);
+    if (passwordProblem) {
+        passwordProblem.scrollIntoView({ behavior: getScrollBehavior(), block: 'center' });
+        passwordProblem.querySelector('input:not([hidden])')?.focus();
+        return;
+    }
+    
+    // Pick the output location first, while the click still counts as user activation
+    let openSink = null;
+    if (state.settings.streamToDisk) {
+        try {
+            openSink = await chooseStreamDestination(folders);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            throw error;
+        }
+        if (!openSink) {
+            console.warn('Streaming to disk is not supported in this browser, zipping in memory');
+        }
+    }
+    
+    return queueFolders(folders, openSink);
+};
+
+/**
+ * Zip all pending folders
+ */
+const zipAllFolders = async () => {
+    // Validate and highlight unwanted files
+    if (validateAndHighlightFiles()) {
+        return;
+    }
+    
+    const pendingFolders = state.folders.filter(folder => 
+        folder.status === FOLDER_STATUS.PENDING && !folder.isFile
+    );
+    
+    return zipFolders(pendingFolders);
+};
+
+/**
+ * Stop zipping process: queued folders leave the queue and running jobs are
+ * cancelled, which returns every one of them to pending. A running Download
+ * All is stopped too.
+ */
+const stopZipping = () => {
+    // Queued folders go first so cancelling a running job does not start them
+    state.folders
+        .filter(folder => folder.status === FOLDER_STATUS.QUEUED)
+        .forEach(cancelFolder);
+    state.folders
+        .filter(folder => folder.status === FOLDER_STATUS.ZIPPING)
+        .forEach(cancelFolder);
+    downloadAllController?.abort();
+    zipWorkerPool.cancel(DOWNLOAD_ALL_JOB);
+    updateUI();
+};
+
+/**
+ * Clear all folders and reset application state
+ */
+const clearAllFolders = () => {
+    // Stop any ongoing zipping process
+    stopZipping();
+    
+    // Clear all folders from state
+    state.folders = [];
+    currentBatch = null;
+    dismissBatchReport();
+    renderSkippedFolders([]);
+    
+    // Clear the folders list in the UI
+    elements.foldersList.innerHTML = '';
+    
+    // Reset file input
+    elements.folderInput.value = '';
+    
+    // Reset UI state
+    updateUI();
+    
+    console.log('All folders cleared. Application reset.');
+};
+
+// ============================================================================
+// ARCHIVE UPDATES
+// ============================================================================
+
+/**
+ * Read the file entries of a zip from its central directory, skipping directory entries
+ * @param {File} archive - Zip file
+ * @returns {Promise<Map<string, Object>>} - Path to entry from readZipDirectory
+ */
+const readArchiveEntries = async (archive) => new Map(
+    Array.from(await readZipDirectory(archive)).filter(([, entry]) => !entry.isDirectory)
+);
+
+/**
+ * Check whether a file differs from its entry in an existing zip.
+ * Date mode treats a file as changed when its size differs or it was
+ * modified after the entry's timestamp; hash mode compares the file's
+ * CRC-32 with the one stored in the zip, without decompressing the entry.
+ * @param {Object} entry - Entry from readArchiveEntries
+ * @param {File} file - File in the folder
+ * @param {string} detection - 'date' or 'hash'
+ * @returns {Promise<boolean>} - True when the file changed
+ */
+const isEntryChanged = async (entry, file, detection) => {
+    if (entry.size !== file.size) return true;
+    if (detection === 'hash') {
+        return entry.crc32 === null || await crc32Blob(file) !== entry.crc32;
+    }
+    
+    return file.lastModified > entry.lastModified + ZIP_DATE_TOLERANCE;
+};
+
+/**
+ * Compare a folder with an existing zip of it
+ * @param {File} baseArchive - Existing zip
+ * @param {Object} folder - Folder object
+ * @param {Function} onProgress - Called with (percent, currentFile)
+ * @returns {Promise<Object>} - Every entry of the updated archive, added and changed
+ * entries, removed archive paths and the unchanged count
+ */
+const planArchiveUpdate = async (baseArchive, folder, onProgress) => {
+    const archiveEntries = await readArchiveEntries(baseArchive);
+    const manifestPaths = Object.values(MANIFEST_FILES);
+    const paths = Array.from(archiveEntries.keys()).filter(path => !manifestPaths.includes(path));
+    
+    // Keep the layout of the existing zip, with or without the folder as top-level directory.
+    // Embedded manifests always sit at the root, so they do not count.
+    const prefix = paths.length > 0 && paths.every(path => path.startsWith(`${folder.name}/`)) 
+        ? `${folder.name}/` 
+        : '';
+    const entries = buildZipEntries(folder, { includeRoot: false })
+        .map(entry => ({ ...entry, path: `${prefix}${entry.path}` }));
+    const plan = { entries, added: [], changed: [], removed: [], unchanged: 0 };
+    
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        const archived = archiveEntries.get(entry.path);
+        onProgress(Math.floor((i / entries.length) * 100), entry.path);
+        
+        if (!archived) {
+            plan.added.push(entry);
+        } else if (await isEntryChanged(archived, entry.file, state.settings.updateDetection)) {
+            plan.changed.push(entry);
+        } else {
+            plan.unchanged++;
+        }
+        archiveEntries.delete(entry.path);
+    }
+    
+    // Whatever is left is gone from the folder. Embedded manifests are written
+    // again when the manifest settings are on, and dropped as stale otherwise.
+    const manifest = getManifestOptions();
+    plan.removed = Array.from(archiveEntries.keys())
+        .filter(path => !manifest || !manifestPaths.includes(path))
+        .sort();
+    return plan;
+};
+
+/**
+ * Show what an update changed below a folder row
+ * @param {Object} folder - Folder object
+ * @param {Object} result - Update result
+ * @param {string} result.archiveName - Name of the updated zip
+ * @param {Object} [result.plan] - Plan from planArchiveUpdate
+ * @param {string} [result.error] - Error message when the update failed
+ */
+const renderUpdateReport = (folder, { archiveName, plan, error }) => {
+    const report = getElementById('update-report', folder.id);
+    if (!report) return;
+    
+    report.innerHTML = error 
+        ? `<p class="verify-error">${escapeHtml(error)}</p>` 
+        : `
+            <p>
+                Updated ${escapeHtml(archiveName)}: ${plan.added.length} added, 
+                ${plan.changed.length} changed, ${plan.removed.length} removed, 
+                ${plan.unchanged} unchanged
+            </p>
+            ${renderDiffList('Added', plan.added.map(entry => escapeHtml(entry.path)))}
+            ${renderDiffList('Changed', plan.changed.map(entry => escapeHtml(entry.path)))}
+            ${renderDiffList('Removed', plan.removed.map(escapeHtml))}
+        `;
+    report.hidden = false;
+};
+
+/**
+ * Queue an update of an existing zip of a folder. Updates share the queue
+ * with zip jobs, so they follow its concurrency, pause and stop.
+ * @param {Object} folder - Folder object
+ * @param {File} baseArchive - Existing zip of the folder
+ */
+const queueArchiveUpdate = (folder, baseArchive) => {
+    if (folder.isFile || folder.status !== FOLDER_STATUS.PENDING) return;
+    
+    if (getFolderEncryption(folder)) {
+        renderUpdateReport(folder, {
+            archiveName: baseArchive.name,
+            error: 'Password protected archives cannot be updated. Zip the folder instead.'
+        });
+        return;
+    }
+    
+    queuedUpdates.set(folder.id, baseArchive);
+    queueFolders([folder], null);
+};
+
+/**
+ * Update an existing zip of a folder instead of zipping it from scratch.
+ * The result is always a ZIP archive, whatever the output format setting.
+ * @param {Object} folder - Folder object
+ * @param {File} baseArchive - Existing zip of the folder
+ * @param {AbortSignal} signal - Aborts the update
+ * @returns {Promise<void>}
+ */
+const updateFolderArchive = async (folder, baseArchive, signal) => {
+    folder.status = FOLDER_STATUS.ZIPPING;
+    folder.progress = 0;
+    folder.startedAt = Date.now();
+    folder.archiveFormat = 'zip';
+    updateFolderStatus(folder);
+    updateUI();
+    
+    // Comparing fills the first fifth of the progress bar, writing the rest
+    const onProgress = (start, span) => (percent, currentFile) => {
+        folder.progress = start + Math.floor((percent * span) / 100);
+        folder.currentFile = currentFile;
+        updateFolderProgress(folder);
+    };
+    
+    // Manifests are rebuilt from every file, so the archived ones are replaced
+    const manifest = getManifestOptions();
+    let plan;
+    try {
+        plan = await planArchiveUpdate(baseArchive, folder, onProgress(0, 20));
+        throwIfCancelled(signal);
+        folder.zipBlob = await zipWorkerPool.run(folder.id, {
+            baseArchive,
+            removedPaths: [
+                ...plan.removed, 
+                ...plan.changed.map(entry => entry.path), 
+                ...(manifest ? Object.values(MANIFEST_FILES) : [])
+            ],
+            entries: [...plan.added, ...plan.changed],
+            manifest,
+            manifestEntries: plan.entries,
+            permissions: state.settings.unixPermissions
+        }, { onProgress: onProgress(20, 80) });
+        
+        if (state.settings.archiveChecksum) {
+            await computeArchiveChecksums(folder);
+        }
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            console.error(`Failed to update "${baseArchive.name}":`, error);
+            renderUpdateReport(folder, { 
+                archiveName: baseArchive.name, 
+                error: `Could not update: ${error.message}` 
+            });
+        }
+        return resetFolderState(folder);
+    }
     
-    // Add each folder to the application
-    const initialRowCount = state.folders.length;
-    folderMap.forEach((files, name) => addFolder(name, files));
-    updateUI();
+    folder.archiveSize = folder.zipBlob.size;
+    renderUpdateReport(folder, { archiveName: baseArchive.name, plan });
+    markFolderComplete(folder);
+};
+
+// ============================================================================
+// APP MODES
+// ============================================================================
+
+/**
+ * Switch between creating, verifying and extracting archives.
+ * Sections list the modes they belong to in their data-modes attribute.
+ * @param {string} mode - One of APP_MODES
+ */
+const setMode = (mode) => {
+    state.mode = mode;
     
-    // Log folder rows added
-    const rowsAdded = state.folders.length - initialRowCount;
-    const unwantedFileRows = state.folders.filter(f => f.isFile).length;
-    console.log(`Folder rows added: ${rowsAdded}`);
-    console.log(`Folder rows with files (other than folders): ${unwantedFileRows}`);
+    document.querySelectorAll('[data-modes]').forEach(section => {
+        section.hidden = !section.dataset.modes.split(' ').includes(mode);
+    });
+    elements.modeTabs.querySelectorAll('[data-mode]').forEach(tab => {
+        tab.setAttribute('aria-selected', String(tab.dataset.mode === mode));
+    });
 };
 
+// ============================================================================
+// VERIFY MODE
+// ============================================================================
+
 /**
- * Generate unique folder ID
- * @returns {number} - Unique folder ID
+ * Compare a zip with the files of a folder in the worker pool.
+ * Files the filter settings leave out are not expected in the archive.
+ * @param {File} archive - Zip file
+ * @param {File[]} files - Files of the selected folder
+ * @param {Function} onProgress - Called with (percent, currentFile)
+ * @returns {Promise<Object>} - Report with missing, extra and changed paths and the matched count
  */
-const generateFolderId = () => Date.now() + Math.random();
+const compareArchiveToFolder = async (archive, files, onProgress) => {
+    const folderName = getRelativePath(files[0]).split('/')[0];
+    const ignoreFileRules = state.settings.useIgnoreFiles ? await loadIgnoreFileRules(files, folderName) : [];
+    const includedFiles = filterFolderFiles(files, folderName, getFolderFilterRules(ignoreFileRules));
+    
+    return zipWorkerPool.run(VERIFY_JOB, {
+        task: 'compare',
+        archive,
+        folderName,
+        files: includedFiles.map(file => ({ path: calculateRelativePath(file, folderName), file }))
+    }, { onProgress });
+};
 
 /**
- * Create folder object
- * @param {string} name - Folder name
- * @param {File[]} files - Files in the folder
- * @returns {Object} - Folder object
+ * Render one section of a verification report
+ * @param {string} title - Section title
+ * @param {string[]} items - List items as HTML
+ * @returns {string} - HTML, empty when there are no items
  */
-const createFolderObject = (name, files) => ({
-    id: generateFolderId(),
-    name,
-    files,
-    status: FOLDER_STATUS.PENDING,
-    progress: 0,
-    zipBlob: null,
-    isFile: isFile(name)
-});
+const renderDiffList = (title, items) => items.length === 0 ? '' : `
+    <details class="verify-diff" open>
+        <summary>${title} (${items.length})</summary>
+        <ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>
+    </details>
+`;
 
 /**
- * Add a new folder to the application
- * @param {string} name - Folder name
- * @param {File[]} files - Files in the folder
+ * Add a verification report to the top of the reports list
+ * @param {Object} result - Verification result
+ * @param {string} result.archiveName - Zip filename
+ * @param {string} result.folderName - Folder name
+ * @param {Object} [result.report] - Report from compareArchiveToFolder
+ * @param {string} [result.error] - Error message when the comparison failed
  */
-const addFolder = (name, files) => {
-    // Check if folder already exists
-    if (state.folders.some(folder => folder.name === name)) return;
+const renderVerifyReport = ({ archiveName, folderName, report, error }) => {
+    const differences = report 
+        ? report.missing.length + report.extra.length + report.changed.length 
+        : 0;
+    const isMatch = !error && differences === 0;
+    const statusText = error 
+        ? 'Failed' 
+        : isMatch ? 'Match' : `${differences} difference${differences === 1 ? '' : 's'}`;
     
-    const folder = createFolderObject(name, files);
-    state.folders.push(folder);
-    renderFolder(folder);
-    validateFolders();
+    const item = document.createElement('div');
+    item.className = 'folder-item verify-report';
+    item.innerHTML = `
+        <div class="folder-header">
+            <div class="folder-info">
+                <div class="folder-icon">🔍</div>
+                <div class="folder-details">
+                    <h3>${escapeHtml(archiveName)}</h3>
+                    <p class="file-count">
+                        Compared with ${escapeHtml(folderName)}${report ? ` · ${report.matched} identical` : ''}
+                    </p>
+                </div>
+            </div>
+            <span class="status-badge ${isMatch ? 'status-complete' : 'status-mismatch'}">${statusText}</span>
+        </div>
+        ${error ? `<p class="verify-error">${escapeHtml(error)}</p>` : ''}
+        ${report ? [
+            renderDiffList('Missing from archive', report.missing.map(escapeHtml)),
+            renderDiffList('Only in archive', report.extra.map(escapeHtml)),
+            renderDiffList('Changed', report.changed.map(({ path, reason }) => 
+                `${escapeHtml(path)} <span class="verify-reason">${reason}</span>`
+            ))
+        ].join('') : ''}
+    `;
+    
+    elements.verifyReports.prepend(item);
+};
+
+/**
+ * Reflect the selected zip and folder in the verify section
+ */
+const updateVerifyInputs = () => {
+    const { archive, files } = state.verify;
+    
+    elements.verifyArchiveName.textContent = archive ? archive.name : 'No archive selected';
+    elements.verifyFolderName.textContent = files.length > 0
+        ? `${getRelativePath(files[0]).split('/')[0]} (${files.length} files)`
+        : 'No folder selected';
+    elements.verifyBtn.disabled = !archive || files.length === 0;
+};
+
+/**
+ * Compare the selected zip and folder and add the report
+ */
+const runVerification = async () => {
+    const { archive, files } = state.verify;
+    if (!archive || files.length === 0) return;
+    
+    const folderName = getRelativePath(files[0]).split('/')[0];
+    elements.verifyBtn.disabled = true;
+    
+    try {
+        const report = await compareArchiveToFolder(archive, files, (percent) => {
+            elements.verifyBtn.textContent = `Comparing... ${percent}%`;
+        });
+        renderVerifyReport({ archiveName: archive.name, folderName, report });
+    } catch (error) {
+        renderVerifyReport({ 
+            archiveName: archive.name, 
+            folderName, 
+            error: `Could not compare: ${error.message}` 
+        });
+    } finally {
+        elements.verifyBtn.textContent = 'Compare';
+        updateVerifyInputs();
+    }
 };
 
 // ============================================================================
-// UI RENDERING
+// EXTRACT MODE
 // ============================================================================
 
 /**
- * Get status badge text based on folder status
- * @param {string} status - Folder status
- * @returns {string} - Status text
+ * Make an archive entry path safe to write below the output folder.
+ * Absolute paths and paths with '..' segments (zip-slip) are rejected.
+ * @param {string} path - Entry path as stored in the zip
+ * @returns {string|null} - Normalized relative path, or null when unsafe
  */
-const getStatusText = (status) => {
-    const statusMap = {
-        [FOLDER_STATUS.PENDING]: 'Pending',
-        [FOLDER_STATUS.ZIPPING]: 'Zipping...',
-        [FOLDER_STATUS.COMPLETE]: 'Complete'
+const getSafeExtractPath = (path) => {
+    const normalized = path.replace(/\\/g, '/');
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) return null;
+    
+    const segments = normalized.split('/').filter(segment => segment !== '' && segment !== '.');
+    if (segments.length === 0 || segments.includes('..')) return null;
+    
+    return segments.join('/');
+};
+
+/**
+ * Read a zip and list the entries that can be extracted safely
+ * @param {File} file - Zip file
+ * @returns {Promise<Object>} - Extract row object
+ */
+const loadExtractArchive = async (file) => {
+    const archive = {
+        id: generateFolderId(),
+        name: file.name,
+        entries: [],
+        blockedPaths: [],
+        failedPaths: [],
+        status: FOLDER_STATUS.PENDING,
+        progress: 0,
+        currentFile: null,
+        error: null
     };
-    return statusMap[status] || 'Pending';
+    
+    try {
+        const zip = await JSZip.loadAsync(file);
+        
+        // JSZip already resolves '../' in entry names; check what the zip really contains
+        zip.forEach((_, entry) => {
+            const storedPath = entry.unsafeOriginalName || entry.name;
+            const path = getSafeExtractPath(storedPath);
+            if (path) {
+                archive.entries.push({ path, entry });
+            } else {
+                archive.blockedPaths.push(storedPath);
+            }
+        });
+    } catch (error) {
+        archive.error = error.message;
+    }
+    
+    return archive;
 };
 
 /**
- * Render folder item in the UI
- * @param {Object} folder - Folder object to render
+ * Get the summary line of an extract row
+ * @param {Object} archive - Extract row object
+ * @returns {string} - Summary text
  */
-const renderFolder = (folder) => {
-    const folderItem = document.createElement('div');
-    folderItem.className = 'folder-item';
-    folderItem.id = `folder-${folder.id}`;
+const getExtractSummary = (archive) => {
+    if (archive.error) return 'Could not read archive';
     
-    const fileCount = folder.files.length;
-    const fileCountText = `${fileCount} file${fileCount !== 1 ? 's' : ''}`;
-    const isZipping = folder.status === FOLDER_STATUS.ZIPPING;
+    const fileCount = archive.entries.filter(({ entry }) => !entry.dir).length;
+    const parts = [`${fileCount} file${fileCount === 1 ? '' : 's'}`];
+    if (archive.blockedPaths.length > 0) parts.push(`${archive.blockedPaths.length} unsafe skipped`);
+    if (archive.failedPaths.length > 0) parts.push(`${archive.failedPaths.length} failed`);
     
-    folderItem.innerHTML = `
+    return parts.join(' · ');
+};
+
+/**
+ * Render the contents list of an extract row, with a download button per file
+ * @param {Object} archive - Extract row object
+ * @returns {string} - HTML
+ */
+const renderExtractContents = (archive) => `
+    <ul class="extract-contents-list">
+        ${archive.entries.map(({ path, entry }, index) => `
+            <li>
+                <span class="tree-name">${escapeHtml(path)}${entry.dir ? '/' : ''}</span>
+                ${entry.dir ? '' : `<button class="tree-toggle-btn" data-entry="${index}">Download</button>`}
+            </li>
+        `).join('')}
+    </ul>
+`;
+
+/**
+ * Add an extract row to the list
+ * @param {Object} archive - Extract row object
+ */
+const renderExtractArchive = (archive) => {
+    const item = document.createElement('div');
+    item.className = 'folder-item';
+    item.id = `extract-${archive.id}`;
+    
+    item.innerHTML = `
         <div class="folder-header">
             <div class="folder-info">
-                <div class="folder-icon">📁</div>
+                <div class="folder-icon">📦</div>
                 <div class="folder-details">
-                    <h3>${folder.name}</h3>
-                    <p class="file-count">${fileCountText}</p>
+                    <h3>${escapeHtml(archive.name)}</h3>
+                    <p class="file-count" id="extract-summary-${archive.id}">${getExtractSummary(archive)}</p>
                 </div>
             </div>
             <div class="status-box">
-                <span class="status-badge status-${folder.status}" id="status-${folder.id}">
-                    ${getStatusText(folder.status)}
-                </span>
-                <button class="download-btn" id="download-${folder.id}">Download</button>
-                <button 
-                    class="remove-folder-btn" 
-                    id="remove-${folder.id}" 
-                    title="Remove folder" 
-                    ${isZipping ? 'disabled' : ''}
-                >
-                    ×
-                </button>
+                <span class="status-badge" id="extract-status-${archive.id}"></span>
+                <button class="remove-folder-btn" id="extract-remove-${archive.id}" title="Remove archive">×</button>
             </div>
         </div>
+        ${archive.error ? `<p class="verify-error">${escapeHtml(archive.error)}</p>` : ''}
+        ${archive.blockedPaths.length > 0 ? `
+            <p class="verify-error">
+                Unsafe paths skipped: ${archive.blockedPaths.map(escapeHtml).join(', ')}
+            </p>
+        ` : ''}
+        <p class="verify-error" id="extract-failed-${archive.id}" hidden></p>
+        ${archive.error ? '' : `
+            <details class="verify-diff" id="extract-contents-${archive.id}">
+                <summary>Contents</summary>
+            </details>
+        `}
         <div class="progress-container">
             <div class="progress-bar">
-                <div class="progress-fill" id="progress-${folder.id}" style="width: ${folder.progress}%"></div>
+                <div class="progress-fill" id="extract-progress-${archive.id}" style="width: 0%"></div>
             </div>
-            <div class="progress-text" id="progress-text-${folder.id}">${folder.progress}%</div>
+            <p class="current-file" id="extract-current-${archive.id}"></p>
         </div>
     `;
     
-    elements.foldersList.appendChild(folderItem);
+    elements.extractList.appendChild(item);
     
-    // Attach event listeners
-    getElementById('download', folder.id)?.addEventListener('click', () => 
-        downloadZip(folder)
+    // The contents list is built on first open; archives can hold many entries
+    const contents = getElementById('extract-contents', archive.id);
+    contents?.addEventListener('toggle', () => {
+        if (contents.open && !contents.querySelector('ul')) {
+            contents.insertAdjacentHTML('beforeend', renderExtractContents(archive));
+        }
+    });
+    contents?.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-entry]');
+        if (button) downloadExtractEntry(archive, Number(button.dataset.entry));
+    });
+    getElementById('extract-remove', archive.id)?.addEventListener('click', () => 
+        removeExtractArchive(archive)
     );
-    getElementById('remove', folder.id)?.addEventListener('click', () => 
-        removeFolder(folder)
+    
+    updateExtractStatus(archive);
+};
+
+/**
+ * Update the status, progress and summary of an extract row
+ * @param {Object} archive - Extract row object
+ */
+const updateExtractStatus = (archive) => {
+    const statusBadge = getElementById('extract-status', archive.id);
+    const progressFill = getElementById('extract-progress', archive.id);
+    const currentFile = getElementById('extract-current', archive.id);
+    const removeBtn = getElementById('extract-remove', archive.id);
+    const failedList = getElementById('extract-failed', archive.id);
+    
+    if (statusBadge) {
+        statusBadge.className = `status-badge ${archive.error ? 'status-mismatch' : `status-${archive.status}`}`;
+        statusBadge.textContent = archive.error ? 'Unreadable' : EXTRACT_STATUS_TEXT[archive.status];
+    }
+    if (progressFill) progressFill.style.width = `${archive.progress}%`;
+    if (currentFile) currentFile.textContent = archive.currentFile || '';
+    if (removeBtn) removeBtn.disabled = archive.status === FOLDER_STATUS.ZIPPING;
+    if (failedList) {
+        failedList.textContent = `Could not write: ${archive.failedPaths.join(', ')}`;
+        failedList.hidden = archive.failedPaths.length === 0;
+    }
+    
+    const summary = getElementById('extract-summary', archive.id);
+    if (summary) summary.textContent = getExtractSummary(archive);
+};
+
+/**
+ * Show the extract mode actions that apply to the current rows
+ */
+const updateExtractUI = () => {
+    const archives = state.extractArchives;
+    const canWriteFolders = Boolean(window.showDirectoryPicker);
+    const isExtracting = archives.some(archive => archive.status === FOLDER_STATUS.ZIPPING);
+    const hasPending = archives.some(archive => 
+        archive.status === FOLDER_STATUS.PENDING && !archive.error
     );
+    
+    elements.extractAllBtn.style.display = canWriteFolders && hasPending && !isExtracting 
+        ? 'inline-block' 
+        : 'none';
+    elements.extractClearBtn.style.display = archives.length > 0 && !isExtracting 
+        ? 'inline-block' 
+        : 'none';
+    
+    if (!canWriteFolders) {
+        elements.extractHint.textContent = 
+            'This browser cannot write folders. Open an archive\'s contents to download files one by one';
+    }
 };
 
 /**
- * Update folder status display in UI
- * @param {Object} folder - Folder object
+ * Read zip files and add a row for each
+ * @param {FileList|File[]} files - Selected or dropped files
  */
-const updateFolderStatus = (folder) => {
-    const statusBadge = getElementById('status', folder.id);
-    const downloadBtn = getElementById('download', folder.id);
-    const progressText = getElementById('progress-text', folder.id);
-    const removeBtn = getElementById('remove', folder.id);
+const addExtractArchives = async (files) => {
+    const zipFiles = Array.from(files).filter(file => /\.zip$/i.test(file.name));
     
-    // Update remove button state
-    if (removeBtn) {
-        removeBtn.disabled = folder.status === FOLDER_STATUS.ZIPPING;
+    for (const file of zipFiles) {
+        const archive = await loadExtractArchive(file);
+        state.extractArchives.push(archive);
+        renderExtractArchive(archive);
     }
     
-    // Handle completed state
-    if (folder.status === FOLDER_STATUS.COMPLETE) {
-        statusBadge?.remove();
-        downloadBtn?.classList.add('visible');
-        if (progressText) progressText.style.display = 'none';
-        return;
+    updateExtractUI();
+};
+
+/**
+ * Handle zip files dropped onto the extract section
+ * @param {DragEvent} event - Drop event
+ */
+const handleExtractDrop = async (event) => {
+    event.preventDefault();
+    elements.extractSection.classList.remove('drag-over');
+    
+    try {
+        await addExtractArchives(await collectDroppedFiles(event.dataTransfer));
+    } catch (error) {
+        console.error('Failed to read dropped items:', error);
     }
+};
+
+/**
+ * Get a nested directory handle, creating missing directories
+ * @param {FileSystemDirectoryHandle} root - Output root
+ * @param {string[]} segments - Directory names below the root
+ * @param {Map<string, FileSystemDirectoryHandle>} cache - Handles already opened
+ * @returns {Promise<FileSystemDirectoryHandle>} - Directory handle
+ */
+const getNestedDirectory = async (root, segments, cache) => {
+    let handle = root;
     
-    // Update status badge
-    if (statusBadge) {
-        statusBadge.className = `status-badge status-${folder.status}`;
-        statusBadge.textContent = getStatusText(folder.status);
+    for (let i = 0; i < segments.length; i++) {
+        const key = segments.slice(0, i + 1).join('/');
+        if (!cache.has(key)) {
+            cache.set(key, await handle.getDirectoryHandle(segments[i], { create: true }));
+        }
+        handle = cache.get(key);
     }
     
-    // Update progress text visibility
-    if (progressText) {
-        progressText.style.display = folder.status === FOLDER_STATUS.ZIPPING 
-            ? 'block' 
-            : 'none';
+    return handle;
+};
+
+/**
+ * Extract an archive into its own folder inside the output directory.
+ * Files that cannot be written are recorded and skipped.
+ * @param {Object} archive - Extract row object
+ * @param {FileSystemDirectoryHandle} root - Output directory picked by the user
+ */
+const extractArchive = async (archive, root) => {
+    archive.status = FOLDER_STATUS.ZIPPING;
+    archive.failedPaths = [];
+    updateExtractStatus(archive);
+    updateExtractUI();
+    
+    const folderName = sanitizeFilename(archive.name.replace(/\.zip$/i, '')) || 'archive';
+    const target = await root.getDirectoryHandle(folderName, { create: true });
+    const directories = new Map();
+    
+    for (let i = 0; i < archive.entries.length; i++) {
+        const { path, entry } = archive.entries[i];
+        const segments = path.split('/');
+        archive.progress = Math.floor((i / archive.entries.length) * 100);
+        archive.currentFile = path;
+        updateExtractStatus(archive);
+        
+        try {
+            if (entry.dir) {
+                await getNestedDirectory(target, segments, directories);
+                continue;
+            }
+            
+            const directory = await getNestedDirectory(target, segments.slice(0, -1), directories);
+            const handle = await directory.getFileHandle(segments[segments.length - 1], { create: true });
+            const writable = await handle.createWritable();
+            await writable.write(await entry.async('blob'));
+            await writable.close();
+        } catch (error) {
+            console.warn(`Could not extract ${path}: ${error.message}`);
+            archive.failedPaths.push(path);
+        }
     }
+    
+    archive.status = FOLDER_STATUS.COMPLETE;
+    archive.progress = 100;
+    archive.currentFile = null;
+    updateExtractStatus(archive);
+    updateExtractUI();
 };
 
 /**
- * Update folder progress display in UI
- * @param {Object} folder - Folder object
+ * Pick an output directory and extract every pending archive into it
  */
-const updateFolderProgress = (folder) => {
-    const progressFill = getElementById('progress', folder.id);
-    const progressText = getElementById('progress-text', folder.id);
+const extractAllArchives = async () => {
+    const pending = state.extractArchives.filter(archive => 
+        archive.status === FOLDER_STATUS.PENDING && !archive.error
+    );
+    if (pending.length === 0 || !window.showDirectoryPicker) return;
     
-    if (progressFill) {
-        progressFill.style.width = `${folder.progress}%`;
+    let root;
+    try {
+        root = await window.showDirectoryPicker({ mode: 'readwrite' });
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        throw error;
     }
     
-    if (progressText) {
-        progressText.textContent = `${folder.progress}%`;
-        if (folder.status === FOLDER_STATUS.ZIPPING) {
-            progressText.style.display = 'block';
+    for (const archive of pending) {
+        try {
+            await extractArchive(archive, root);
+        } catch (error) {
+            console.error(`Failed to extract "${archive.name}":`, error);
+            archive.status = FOLDER_STATUS.PENDING;
+            archive.progress = 0;
+            archive.currentFile = null;
+            updateExtractStatus(archive);
+            updateExtractUI();
         }
     }
 };
 
+/**
+ * Download a single file from an archive
+ * @param {Object} archive - Extract row object
+ * @param {number} index - Entry index
+ */
+const downloadExtractEntry = async (archive, index) => {
+    const { path, entry } = archive.entries[index] || {};
+    if (!entry || entry.dir) return;
+    
+    triggerDownload(await entry.async('blob'), path.split('/').pop());
+};
+
+/**
+ * Remove an extract row
+ * @param {Object} archive - Extract row object
+ */
+const removeExtractArchive = (archive) => {
+    state.extractArchives = state.extractArchives.filter(item => item !== archive);
+    document.getElementById(`extract-${archive.id}`)?.remove();
+    updateExtractUI();
+};
+
+/**
+ * Remove every extract row
+ */
+const clearExtractArchives = () => {
+    state.extractArchives = [];
+    elements.extractList.innerHTML = '';
+    updateExtractUI();
+};
+
 // ============================================================================
-// UI STATE MANAGEMENT
+// SESSION PERSISTENCE
 // ============================================================================
 
 /**
- * Calculate UI state based on folders
- * @returns {Object} - UI state object
+ * Connection and bookkeeping of the session database
+ * @type {{database: Promise<IDBDatabase>|null, signatures: Map<number, string>, saveTimer: number|null}}
  */
-const calculateUIState = () => {
-    const folders = state.folders;
-    const validFolders = folders.filter(f => !f.isFile);
-    
-    return {
-        hasFolders: folders.length > 0,
-        hasUnwantedFiles: folders.some(f => f.isFile),
-        hasPendingFolders: validFolders.some(f => f.status === FOLDER_STATUS.PENDING),
-        hasZippingFolders: validFolders.some(f => f.status === FOLDER_STATUS.ZIPPING),
-        hasCompletedFolders: folders.some(f => f.status === FOLDER_STATUS.COMPLETE),
-        allZippingComplete: folders.some(f => f.status === FOLDER_STATUS.COMPLETE) && 
-                           !validFolders.some(f => f.status === FOLDER_STATUS.ZIPPING) &&
-                           !validFolders.some(f => f.status === FOLDER_STATUS.PENDING)
-    };
+const sessionStore = {
+    database: null,
+    signatures: new Map(),
+    saveTimer: null
 };
 
 /**
- * Update UI elements based on current state
+ * Open the session database, creating its stores on first use
+ * @returns {Promise<IDBDatabase>} - Database connection
  */
-const updateUI = () => {
-    const uiState = calculateUIState();
-    
-    // Update empty state
-    elements.emptyState.style.display = uiState.hasFolders ? 'none' : 'block';
-    
-    // Update Zip All button
-    if (uiState.hasPendingFolders && !uiState.hasZippingFolders) {
-        elements.zipAllBtn.style.display = 'inline-block';
-        elements.zipAllBtn.disabled = false;
-    } else {
-        elements.zipAllBtn.style.display = 'none';
-    }
+const openSessionDatabase = () => {
+    sessionStore.database ??= new Promise((resolve, reject) => {
+        const request = indexedDB.open(SESSION_DB.NAME, SESSION_DB.VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(SESSION_DB.FOLDERS_STORE, { keyPath: 'id' });
+            request.result.createObjectStore(SESSION_DB.META_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
     
-    // Update Cleanup button
-    if (uiState.hasUnwantedFiles) {
-        elements.cleanupBtn.style.display = 'inline-block';
-        elements.cleanupBtn.disabled = false;
-    } else {
-        elements.cleanupBtn.style.display = 'none';
-    }
+    return sessionStore.database;
+};
+
+/**
+ * Run a transaction over both session stores
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Called with the folders and meta stores
+ * @returns {Promise<void>} - Resolves when the transaction completes
+ */
+const runSessionTransaction = async (mode, callback) => {
+    const database = await openSessionDatabase();
     
-    // Update Download All button
-    if (uiState.allZippingComplete) {
-        elements.downloadAllBtn.style.display = 'inline-block';
-        elements.downloadAllBtn.disabled = false;
-    } else {
-        elements.downloadAllBtn.style.display = 'none';
-    }
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([SESSION_DB.FOLDERS_STORE, SESSION_DB.META_STORE], mode);
+        callback(
+            transaction.objectStore(SESSION_DB.FOLDERS_STORE), 
+            transaction.objectStore(SESSION_DB.META_STORE)
+        );
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+/**
+ * Build the stored form of a folder. Source files are not stored; a folder
+ * that was not zipped needs its files again after a reload.
+ * Running jobs are stored as pending because they cannot survive a reload.
+ * @param {Object} folder - Folder object
+ * @returns {Object} - Record for the folders store
+ */
+const createFolderRecord = (folder) => {
+    const isRunning = [FOLDER_STATUS.QUEUED, FOLDER_STATUS.ZIPPING].includes(folder.status);
     
-    // Update Clear All button
-    if (uiState.hasFolders) {
-        elements.clearAllBtn.style.display = 'inline-block';
-        elements.clearAllBtn.disabled = false;
-    } else {
-        elements.clearAllBtn.style.display = 'none';
-    }
+    return {
+        id: folder.id,
+        name: folder.name,
+        parentName: folder.parentName,
+        rootPath: folder.rootPath,
+        uploadId: folder.uploadId,
+        isFile: folder.isFile,
+        status: isRunning ? FOLDER_STATUS.PENDING : folder.status,
+        error: folder.error || null,
+        fileCount: folder.storedFileCount ?? folder.files.length,
+        totalSize: folder.totalSize,
+        excludedCount: folder.excludedCount,
+        compression: folder.compression,
+        archiveFormat: folder.archiveFormat,
+        archiveChecksums: folder.archiveChecksums,
+        savedToDisk: Boolean(folder.savedToDisk),
+        sourceHandle: folder.sourceHandle,
+        zipBlob: folder.archiveStored ? folder.zipBlob : null,
+        archiveParts: folder.archiveStored ? folder.archiveParts : []
+    };
 };
 
-// ============================================================================
-// FOLDER MANAGEMENT
-// ============================================================================
+/**
+ * Summarize a record so unchanged folders are not written again.
+ * Archives are summarized by size; they never change once built.
+ * @param {Object} record - Folder record
+ * @returns {string} - Signature
+ */
+const getRecordSignature = (record) => JSON.stringify({
+    ...record,
+    sourceHandle: Boolean(record.sourceHandle),
+    zipBlob: record.zipBlob?.size ?? null,
+    archiveParts: record.archiveParts.map(part => part.size)
+});
 
 /**
- * Remove folder from the application
- * @param {Object} folder - Folder object to remove
+ * Check if a folder record carries archives
+ * @param {Object} record - Folder record
+ * @returns {boolean} - True if it stores a zip or parts
  */
-const removeFolder = (folder) => {
-    if (folder.status === FOLDER_STATUS.ZIPPING) return;
-    
-    const folderElement = getElementById('folder', folder.id);
-    if (!folderElement) return;
-    
-    // Remove from state
-    state.folders = state.folders.filter(f => f.id !== folder.id);
+const recordHasArchives = (record) => Boolean(record.zipBlob) || record.archiveParts.length > 0;
+
+/**
+ * Write changed folders to the session database and delete removed ones.
+ * When the archives do not fit in the storage quota, the folders are saved
+ * without them and those archives are not offered to storage again.
+ * @returns {Promise<void>}
+ */
+const saveSession = async () => {
+    const records = state.folders.map(createFolderRecord);
+    const signatures = new Map(records.map(record => [record.id, getRecordSignature(record)]));
+    const changedRecords = records.filter(record => 
+        sessionStore.signatures.get(record.id) !== signatures.get(record.id)
+    );
     
-    // Log remaining folder rows
-    const remainingRows = state.folders.length;
-    const remainingUnwantedFileRows = state.folders.filter(f => f.isFile).length;
-    console.log(`Removed folder row. Remaining folder rows: ${remainingRows}`);
-    console.log(`Folder rows with files (other than folders): ${remainingUnwantedFileRows}`);
+    try {
+        await runSessionTransaction('readwrite', (folders, meta) => {
+            changedRecords.forEach(record => folders.put(record));
+            Array.from(sessionStore.signatures.keys())
+                .filter(id => !signatures.has(id))
+                .forEach(id => folders.delete(id));
+            meta.put(records.map(record => record.id), SESSION_DB.ORDER_KEY);
+        });
+    } catch (error) {
+        const archiveIds = changedRecords.filter(recordHasArchives).map(record => record.id);
+        if (error?.name !== 'QuotaExceededError' || archiveIds.length === 0) throw error;
+        
+        console.warn(`Browser storage is full, ${archiveIds.length} archive(s) will not be kept for the next visit`);
+        state.folders
+            .filter(folder => archiveIds.includes(folder.id))
+            .forEach(folder => { folder.archiveStored = false; });
+        return saveSession();
+    }
     
-    // Animate removal
-    folderElement.classList.add('removing');
-    setTimeout(() => {
-        folderElement.remove();
-        validateFolders();
-        updateUI();
-    }, ANIMATION_DELAYS.REMOVE_FOLDER);
+    sessionStore.signatures = signatures;
+    renderStorageUsage();
 };
 
 /**
- * Remove all unwanted files from the application
+ * Save the session shortly after the latest change
  */
-const removeUnwantedFiles = () => {
-    const unwantedFiles = state.folders.filter(folder => folder.isFile);
-    if (unwantedFiles.length === 0) return;
+const scheduleSessionSave = () => {
+    if (!window.indexedDB) return;
     
-    const filesToRemove = unwantedFiles.length;
+    clearTimeout(sessionStore.saveTimer);
+    sessionStore.saveTimer = setTimeout(() => {
+        saveSession().catch(error => console.warn(`Could not save the session: ${error.message}`));
+    }, SESSION_DB.SAVE_DELAY);
+};
+
+/**
+ * Read the stored folders in row order
+ * @returns {Promise<Object[]>} - Folder records
+ */
+const readSessionRecords = async () => {
+    let records = [];
+    let order = [];
     
-    // Animate removal of each file
-    unwantedFiles.forEach((file, index) => {
-        const folderElement = getElementById('folder', file.id);
-        if (!folderElement) return;
-        
-        folderElement.classList.add('removing');
-        
-        setTimeout(() => {
-            folderElement.remove();
-            
-            // Update state after last file is removed
-            if (index === unwantedFiles.length - 1) {
-                state.folders = state.folders.filter(f => !f.isFile);
-                validateFolders();
-                updateUI();
-                
-                // Update console log with remaining folder rows
-                const remainingRows = state.folders.length;
-                const remainingUnwantedFileRows = state.folders.filter(f => f.isFile).length;
-                console.log(`Removed ${filesToRemove} unwanted file row(s). Remaining folder rows: ${remainingRows}`);
-                console.log(`Folder rows with files (other than folders): ${remainingUnwantedFileRows}`);
-            }
-        }, ANIMATION_DELAYS.REMOVE_FOLDER);
+    await runSessionTransaction('readonly', (folders, meta) => {
+        folders.getAll().onsuccess = (event) => { records = event.target.result; };
+        meta.get(SESSION_DB.ORDER_KEY).onsuccess = (event) => { order = event.target.result || []; };
     });
     
-    // Remove from state immediately
-    state.folders = state.folders.filter(f => !f.isFile);
+    const position = (record) => order.includes(record.id) ? order.indexOf(record.id) : order.length;
+    return records.sort((a, b) => position(a) - position(b));
 };
 
-// ============================================================================
-// ZIP OPERATIONS
-// ============================================================================
-
 /**
- * Calculate relative path for file in zip
- * @param {File} file - File object
- * @param {string} folderName - Folder name
- * @returns {string} - Relative path in zip
+ * Rebuild a folder from its stored record. Folders without a stored archive
+ * wait for their files: access to a dropped folder can be granted again,
+ * anything else has to be added again.
+ * @param {Object} record - Folder record
+ * @returns {Object} - Folder object
  */
-const calculateRelativePath = (file, folderName) => {
-    const pathParts = file.webkitRelativePath.split('/');
-    const folderIndex = pathParts.indexOf(folderName);
-    
-    if (folderIndex >= 0) {
-        const relativeParts = pathParts.slice(folderIndex + 1);
-        return relativeParts.join('/') || file.name;
-    }
+const restoreFolder = (record) => {
+    const folder = {
+        ...createFolderObject(record.name, [], {
+            parentName: record.parentName,
+            rootPath: record.rootPath,
+            isFile: record.isFile,
+            uploadId: record.uploadId
+        }),
+        id: record.id,
+        storedFileCount: record.fileCount,
+        totalSize: record.totalSize,
+        excludedCount: record.excludedCount,
+        compression: record.compression,
+        archiveFormat: record.archiveFormat,
+        archiveChecksums: record.archiveChecksums,
+        savedToDisk: record.savedToDisk,
+        sourceHandle: record.sourceHandle,
+        zipBlob: record.zipBlob,
+        archiveParts: record.archiveParts,
+        status: record.status,
+        error: record.error
+    };
     
-    if (pathParts.length > 1) {
-        return pathParts.slice(1).join('/') || file.name;
+    const hasArchive = Boolean(record.zipBlob) || record.archiveParts.length > 0 || record.savedToDisk;
+    if (record.status !== FOLDER_STATUS.COMPLETE || !hasArchive) {
+        folder.status = FOLDER_STATUS.UNAVAILABLE;
+        folder.error = record.sourceHandle 
+            ? 'Grant access to the folder again to zip it.' 
+            : 'Add the folder again to zip it.';
     }
     
-    return file.name;
+    return folder;
 };
 
 /**
- * Reset folder to pending state
- * @param {Object} folder - Folder object to reset
+ * Restore the folders of the previous visit.
+ * Undecided loose files are not restored; they have nothing to show.
  */
-const resetFolderState = (folder) => {
-    folder.status = FOLDER_STATUS.PENDING;
-    folder.progress = 0;
-    updateFolderStatus(folder);
-    updateFolderProgress(folder);
+const restoreSession = async () => {
+    if (!window.indexedDB) {
+        elements.storageUsage.textContent = 'This browser cannot keep sessions between visits.';
+        return;
+    }
+    
+    try {
+        const records = await readSessionRecords();
+        records.forEach(record => sessionStore.signatures.set(record.id, getRecordSignature(record)));
+        
+        records
+            .filter(record => !record.isFile)
+            .map(restoreFolder)
+            .forEach(folder => {
+                state.folders.push(folder);
+                renderFolder(folder);
+                updateFolderStatus(folder);
+                
+                if (folder.compression) {
+                    getElementById('compression', folder.id).value = folder.compression.method;
+                    setFolderCompression(folder, folder.compression.method, folder.compression.level);
+                }
+            });
+    } catch (error) {
+        console.warn(`Could not restore the previous session: ${error.message}`);
+    }
+    
     updateUI();
 };
 
 /**
- * Zip a single folder
- * @param {Object} folder - Folder object to zip
+ * Ask for access to a restored folder's dropped handle again and read its files
+ * @param {Object} folder - Restored folder waiting for its files
  */
-const zipFolder = async (folder) => {
-    // Check if operation should be stopped
-    if (state.shouldStopZipping) {
-        return resetFolderState(folder);
-    }
-    
-    // Update folder status
-    folder.status = FOLDER_STATUS.ZIPPING;
-    updateFolderStatus(folder);
-    updateUI();
-    
-    // Initialize zip
-    const zip = new JSZip();
-    const totalFiles = folder.files.length;
-    
-    // Add files to zip
-    for (let i = 0; i < totalFiles; i++) {
-        if (state.shouldStopZipping) {
-            return resetFolderState(folder);
-        }
+const regrantFolderAccess = async (folder) => {
+    try {
+        if (await folder.sourceHandle.requestPermission({ mode: 'read' }) !== 'granted') return;
         
-        const file = folder.files[i];
-        const relativePath = calculateRelativePath(file, folder.name);
-        zip.file(relativePath, file);
+        // The handle is the dropped item; the row may sit deeper inside it
+        const [, ...segments] = folder.rootPath.split('/');
+        let handle = folder.sourceHandle;
+        for (const [index, name] of segments.entries()) {
+            handle = folder.isFile && index === segments.length - 1
+                ? await handle.getFileHandle(name)
+                : await handle.getDirectoryHandle(name);
+        }
         
-        // Update progress
-        folder.progress = Math.round(((i + 1) / totalFiles) * 100);
-        updateFolderProgress(folder);
+        const files = [];
+        const directories = [];
+        await collectFromHandle(handle, folder.rootPath, files, directories);
         
-        // Small delay for UI responsiveness
-        await delay(ANIMATION_DELAYS.ZIP_PROCESSING);
+        Object.assign(folder, {
+            sourceFiles: files,
+            sourceDirectories: directories,
+            ignoreFileRules: folder.isFile ? [] : await loadIgnoreFileRules(files, folder.rootPath),
+            storedFileCount: null,
+            zipBlob: null,
+            archiveParts: [],
+            savedToDisk: false,
+            archiveStored: true
+        });
+    } catch (error) {
+        folder.error = `Could not open the folder again: ${error.message}`;
+        updateFolderStatus(folder);
+        return;
     }
     
-    // Check again before generating zip
-    if (state.shouldStopZipping) {
-        return resetFolderState(folder);
+    applyFolderFilters(folder);
+    updateFolderFileCount(folder);
+    refreshFileTree(folder);
+    resetFolderState(folder);
+};
+
+/**
+ * Show how much browser storage the app uses
+ */
+const renderStorageUsage = async () => {
+    const storedCount = state.folders.filter(folder => 
+        folder.archiveStored && (folder.zipBlob || folder.archiveParts.length > 0)
+    ).length;
+    const archivesText = `${storedCount} archive${storedCount !== 1 ? 's' : ''} stored`;
+    
+    if (!navigator.storage?.estimate) {
+        elements.storageUsage.textContent = archivesText;
+        return;
     }
     
-    // Generate zip blob
-    folder.zipBlob = await zip.generateAsync(ZIP_CONFIG);
-    folder.status = FOLDER_STATUS.COMPLETE;
-    folder.progress = 100;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    elements.storageUsage.textContent = `${formatBytes(usage)} of ${formatBytes(quota)} used · ${archivesText}`;
+};
+
+/**
+ * Delete every stored archive. Archives stay downloadable until the page is
+ * closed; after a reload their folders have to be zipped again. Archives
+ * built after the purge are stored as usual.
+ */
+const purgeStoredArchives = async () => {
+    state.folders.forEach(folder => { folder.archiveStored = false; });
+    const purgedRecords = [];
     
-    // Update UI
-    updateFolderStatus(folder);
-    updateFolderProgress(folder);
-    updateUI();
+    try {
+        await runSessionTransaction('readwrite', (folders) => {
+            folders.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                
+                const record = { ...cursor.value, zipBlob: null, archiveParts: [] };
+                cursor.update(record);
+                purgedRecords.push(record);
+                cursor.continue();
+            };
+        });
+        purgedRecords.forEach(record => sessionStore.signatures.set(record.id, getRecordSignature(record)));
+    } catch (error) {
+        console.warn(`Could not purge stored archives: ${error.message}`);
+    }
+    renderStorageUsage();
 };
 
+// ============================================================================
+// INSTALLABLE APP
+// ============================================================================
+
 /**
- * Download a single folder zip
- * @param {Object} folder - Folder object to download
+ * Registration of the service worker that caches the app and streams downloads
+ * @type {Promise<ServiceWorkerRegistration>|null}
  */
-const downloadZip = (folder) => {
-    if (!folder.zipBlob) return;
-    triggerDownload(folder.zipBlob, `${folder.name}.zip`);
+let serviceWorkerRegistration = null;
+
+/**
+ * New version installed and waiting for the page to accept the update
+ * @type {ServiceWorker|null}
+ */
+let waitingServiceWorker = null;
+
+/**
+ * Register the service worker once per page
+ * @returns {Promise<ServiceWorkerRegistration>} - Registration
+ */
+const registerServiceWorker = () => {
+    serviceWorkerRegistration ??= navigator.serviceWorker.register(APP_CONFIG.SERVICE_WORKER_URL);
+    return serviceWorkerRegistration;
 };
 
 /**
- * Download all folders as a single zip
+ * Offer to reload into a newly installed version
+ * @param {ServiceWorker} worker - Installed worker of the new version
  */
-const downloadAllZips = async () => {
-    const mainZip = new JSZip();
+const showUpdatePrompt = (worker) => {
+    waitingServiceWorker = worker;
+    elements.updateBanner.hidden = false;
+};
+
+/**
+ * Watch for new versions of the service worker. A worker that installs
+ * while another one controls the page is an update; the first install is not.
+ * @param {ServiceWorkerRegistration} registration - App registration
+ */
+const watchForUpdates = (registration) => {
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdatePrompt(registration.waiting);
+    }
     
-    // Add all completed zips to main zip
-    state.folders.forEach(folder => {
-        if (folder.zipBlob) {
-            mainZip.file(`${folder.name}.zip`, folder.zipBlob);
-        }
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdatePrompt(worker);
+            }
+        });
     });
-    
-    // Generate and download
-    const finalBlob = await mainZip.generateAsync(ZIP_CONFIG);
-    triggerDownload(finalBlob, 'all_folders.zip');
 };
 
 /**
- * Zip all pending folders
+ * Register the service worker so the app works offline and can be installed
  */
-const zipAllFolders = async () => {
-    // Validate and highlight unwanted files
-    if (validateAndHighlightFiles()) {
-        return;
-    }
+const initializeServiceWorker = async () => {
+    if (!('serviceWorker' in navigator)) return;
     
-    // Initialize zipping state
-    state.shouldStopZipping = false;
-    elements.zipAllBtn.disabled = true;
-    elements.zipAllBtn.style.display = 'none';
-    elements.stopBtn.style.display = 'inline-block';
-    elements.stopBtn.disabled = false;
+    try {
+        watchForUpdates(await registerServiceWorker());
+    } catch (error) {
+        console.warn(`Offline use unavailable: ${error.message}`);
+    }
+};
+
+/**
+ * Switch to the waiting version. The session is saved first, and the page
+ * reloads once the new worker takes control.
+ */
+const applyUpdate = async () => {
+    if (!waitingServiceWorker) return;
     
-    // Zip each pending folder
-    for (const folder of state.folders) {
-        if (state.shouldStopZipping) break;
-        
-        if (folder.status === FOLDER_STATUS.PENDING && !folder.isFile) {
-            await zipFolder(folder);
-        }
+    try {
+        await saveSession();
+    } catch (error) {
+        console.warn(`Could not save the session before updating: ${error.message}`);
     }
     
-    // Reset UI state
-    elements.zipAllBtn.style.display = 'inline-block';
-    elements.stopBtn.style.display = 'none';
-    elements.stopBtn.disabled = true;
-    updateUI();
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    waitingServiceWorker.postMessage({ type: 'skip-waiting' });
 };
 
 /**
- * Stop zipping process
+ * Add files sent to the app from the OS. Zips open in extract mode;
+ * folders and other files are listed for zipping.
+ * @param {Object} incoming - Received items
+ * @param {File[]} incoming.files - Files to list for zipping
+ * @param {string[]} incoming.directories - Empty directories among them
+ * @param {Map<string, FileSystemHandle|null>} [incoming.handles] - Handles of the items by name
+ * @param {File[]} incoming.archives - Zips to extract
  */
-const stopZipping = () => {
-    state.shouldStopZipping = true;
-    elements.stopBtn.disabled = true;
-    elements.stopBtn.style.display = 'none';
-    elements.zipAllBtn.style.display = 'inline-block';
-    updateUI();
+const openIncomingFiles = async ({ files, directories, handles, archives }) => {
+    if (files.length > 0) {
+        setMode(APP_MODES.CREATE);
+        await processUploadedFiles(files, directories, handles);
+    }
+    if (archives.length > 0) {
+        setMode(APP_MODES.EXTRACT);
+        await addExtractArchives(archives);
+    }
 };
 
 /**
- * Clear all folders and reset application state
+ * Collect the files of a share_target launch from the service worker,
+ * which received them in the form post
  */
-const clearAllFolders = () => {
-    // Stop any ongoing zipping process
-    state.shouldStopZipping = true;
-    
-    // Clear all folders from state
-    state.folders = [];
-    
-    // Clear the folders list in the UI
-    elements.foldersList.innerHTML = '';
+const receiveSharedFiles = async () => {
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has(APP_CONFIG.SHARE_TARGET_PARAM)) return;
     
-    // Reset file input
-    elements.folderInput.value = '';
+    // A reload should not ask for the same share again
+    url.searchParams.delete(APP_CONFIG.SHARE_TARGET_PARAM);
+    window.history.replaceState(null, '', url);
     
-    // Reset UI state
-    updateUI();
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        const shared = await new Promise(resolve => {
+            const { port1, port2 } = new MessageChannel();
+            port1.onmessage = ({ data }) => resolve(data.files);
+            registration.active.postMessage({ type: 'get-shared-files' }, [port2]);
+        });
+        
+        await openIncomingFiles({
+            files: shared.filter(file => !/\.zip$/i.test(file.name)),
+            directories: [],
+            archives: shared.filter(file => /\.zip$/i.test(file.name))
+        });
+    } catch (error) {
+        console.error('Failed to read shared files:', error);
+    }
+};
+
+/**
+ * Open folders and zips the OS launches the installed app with
+ * through the manifest's file_handlers
+ */
+const receiveLaunchedFiles = () => {
+    if (!('launchQueue' in window)) return;
     
-    console.log('All folders cleared. Application reset.');
+    window.launchQueue.setConsumer(async ({ files: handles }) => {
+        if (!handles?.length) return;
+        
+        try {
+            const incoming = { files: [], directories: [], handles: new Map(), archives: [] };
+            for (const handle of handles) {
+                if (handle.kind === 'file' && /\.zip$/i.test(handle.name)) {
+                    incoming.archives.push(await handle.getFile());
+                } else {
+                    addDroppedHandle(incoming.handles, handle);
+                    await collectFromHandle(handle, handle.name, incoming.files, incoming.directories);
+                }
+            }
+            await openIncomingFiles(incoming);
+        } catch (error) {
+            console.error('Failed to open launched files:', error);
+        }
+    });
 };
 
 // ============================================================================
@@ -807,34 +6159,219 @@ const initializeEventListeners = () => {
         elements.folderInput.click();
     });
     
+    // Keyboard navigation of the folder list
+    elements.foldersList.addEventListener('keydown', handleFolderListKeydown);
+    elements.foldersList.addEventListener('focusin', (event) => {
+        const row = event.target.closest('.folder-item');
+        if (row) setActiveRow(row);
+    });
+    
     // File input change
     elements.folderInput.addEventListener('change', (event) => {
         processUploadedFiles(event.target.files);
     });
     
+    // Mode tabs
+    elements.modeTabs.addEventListener('click', (event) => {
+        const tab = event.target.closest('[data-mode]');
+        if (tab) setMode(tab.dataset.mode);
+    });
+    
+    // Verify mode inputs
+    elements.verifyArchiveBtn.addEventListener('click', () => {
+        elements.verifyArchiveInput.click();
+    });
+    elements.verifyArchiveInput.addEventListener('change', (event) => {
+        state.verify.archive = event.target.files[0] || null;
+        updateVerifyInputs();
+    });
+    elements.verifyFolderBtn.addEventListener('click', () => {
+        elements.verifyFolderInput.click();
+    });
+    elements.verifyFolderInput.addEventListener('change', (event) => {
+        state.verify.files = Array.from(event.target.files);
+        updateVerifyInputs();
+    });
+    elements.verifyBtn.addEventListener('click', runVerification);
+    
+    // Extract mode
+    elements.extractBrowseBtn.addEventListener('click', () => {
+        elements.extractInput.click();
+    });
+    elements.extractInput.addEventListener('change', (event) => {
+        addExtractArchives(event.target.files);
+        elements.extractInput.value = '';
+    });
+    elements.extractSection.addEventListener('dragover', handleDragOver);
+    elements.extractSection.addEventListener('dragleave', handleDragLeave);
+    elements.extractSection.addEventListener('drop', handleExtractDrop);
+    elements.extractAllBtn.addEventListener('click', extractAllArchives);
+    elements.extractClearBtn.addEventListener('click', clearExtractArchives);
+    
+    // Drag and drop onto the upload section
+    elements.uploadSection.addEventListener('dragover', handleDragOver);
+    elements.uploadSection.addEventListener('dragleave', handleDragLeave);
+    elements.uploadSection.addEventListener('drop', handleDrop);
+    
     // Zip all button
     elements.zipAllBtn.addEventListener('click', zipAllFolders);
     
     // Stop button
     elements.stopBtn.addEventListener('click', stopZipping);
+    elements.pauseBtn.addEventListener('click', toggleQueuePaused);
+    elements.purgeArchivesBtn.addEventListener('click', purgeStoredArchives);
+    elements.updateReloadBtn.addEventListener('click', applyUpdate);
     
     // Cleanup button
     elements.cleanupBtn.addEventListener('click', removeUnwantedFiles);
+    elements.zipLooseBtn.addEventListener('click', () => 
+        resolveLooseFiles(LOOSE_FILE_MODES.INDIVIDUAL)
+    );
+    elements.bundleLooseBtn.addEventListener('click', () => 
+        resolveLooseFiles(LOOSE_FILE_MODES.BUNDLE)
+    );
+    elements.looseFiles.addEventListener('change', (event) => {
+        updateSettings({ looseFiles: event.target.value });
+    });
+    elements.downloadAllMode.addEventListener('change', (event) => {
+        updateSettings({ downloadAllMode: event.target.value });
+        updateUI();
+    });
+    elements.groupingDepth.addEventListener('change', (event) => {
+        updateSettings({ groupingDepth: event.target.value });
+        regroupFolders();
+    });
+    elements.includeRootToggle.addEventListener('change', (event) => {
+        updateSettings({ includeRootFolder: event.target.checked });
+    });
+    elements.unixPermissionsToggle.addEventListener('change', (event) => {
+        updateSettings({ unixPermissions: event.target.checked });
+    });
     
     // Download all button
     elements.downloadAllBtn.addEventListener('click', downloadAllZips);
     
     // Clear all button
     elements.clearAllBtn.addEventListener('click', clearAllFolders);
+    
+    // Settings panel
+    elements.streamToggle.addEventListener('change', (event) => {
+        updateSettings({ streamToDisk: event.target.checked });
+        refreshSizeWarnings();
+    });
+    elements.maxArchiveSize.addEventListener('change', (event) => {
+        updateSettings({ maxArchiveSize: Math.max(0, Number(event.target.value) || 0) });
+    });
+    elements.largeFileWarning.addEventListener('change', (event) => {
+        updateSettings({ largeFileWarning: Math.max(0, Number(event.target.value) || 0) });
+        refreshSizeWarnings();
+    });
+    elements.largeFolderWarning.addEventListener('change', (event) => {
+        updateSettings({ largeFolderWarning: Math.max(0, Number(event.target.value) || 0) });
+        refreshSizeWarnings();
+    });
+    elements.concurrency.addEventListener('change', (event) => {
+        const concurrency = Math.round(Number(event.target.value)) || WORKER_CONFIG.DEFAULT_CONCURRENCY;
+        updateSettings({ concurrency: Math.min(WORKER_CONFIG.MAX_CONCURRENCY, Math.max(1, concurrency)) });
+        processQueue();
+    });
+    elements.outputFormat.addEventListener('change', (event) => {
+        updateSettings({ outputFormat: event.target.value });
+        refreshSizeEstimates();
+    });
+    elements.compressionMethod.addEventListener('change', (event) => {
+        updateSettings({ compressionMethod: event.target.value });
+        refreshSizeEstimates();
+    });
+    elements.compressionLevel.addEventListener('input', (event) => {
+        updateSettings({ compressionLevel: Number(event.target.value) });
+        refreshSizeEstimates();
+    });
+    
+    // Filter settings re-apply to pending folders
+    elements.ignorePresets.addEventListener('change', () => {
+        const ignorePresets = Array.from(elements.ignorePresets.querySelectorAll('input:checked'))
+            .map(input => input.value);
+        updateSettings({ ignorePresets });
+        refreshFolderFilters();
+    });
+    elements.excludePatterns.addEventListener('change', (event) => {
+        updateSettings({ excludePatterns: event.target.value });
+        refreshFolderFilters();
+    });
+    elements.includePatterns.addEventListener('change', (event) => {
+        updateSettings({ includePatterns: event.target.value });
+        refreshFolderFilters();
+    });
+    elements.ignoreFilesToggle.addEventListener('change', (event) => {
+        updateSettings({ useIgnoreFiles: event.target.checked });
+        refreshFolderFilters();
+    });
+    
+    // Integrity
+    elements.checksumManifestToggle.addEventListener('change', (event) => {
+        updateSettings({ checksumManifest: event.target.checked });
+    });
+    elements.jsonManifestToggle.addEventListener('change', (event) => {
+        updateSettings({ jsonManifest: event.target.checked });
+    });
+    elements.archiveChecksumToggle.addEventListener('change', (event) => {
+        updateSettings({ archiveChecksum: event.target.checked });
+    });
+    elements.embedReportToggle.addEventListener('change', (event) => {
+        updateSettings({ embedBatchReport: event.target.checked });
+    });
+    
+    // Batch report
+    elements.reportCsvBtn.addEventListener('click', () => downloadBatchReport('csv'));
+    elements.reportJsonBtn.addEventListener('click', () => downloadBatchReport('json'));
+    elements.reportDismissBtn.addEventListener('click', dismissBatchReport);
+    elements.updateDetection.addEventListener('change', (event) => {
+        updateSettings({ updateDetection: event.target.value });
+    });
+    
+    // Batch password
+    elements.batchPassword.addEventListener('input', updateBatchPassword);
+    
+    // Naming templates
+    elements.folderNameTemplate.addEventListener('input', (event) => {
+        updateSettings({ folderNameTemplate: event.target.value });
+    });
+    elements.bundleNameTemplate.addEventListener('input', (event) => {
+        updateSettings({ bundleNameTemplate: event.target.value });
+    });
 };
 
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
 
+/**
+ * Initialize the application
+ */
+const initializeApp = () => {
+    state.settings = loadSettings();
+    renderOutputFormats();
+    renderDownloadAllModes();
+    renderIgnorePresets();
+    renderNameTokens();
+    renderSettings();
+    elements.batchPassword.innerHTML = renderPasswordFields('batch');
+    getElementById('password-method', 'batch').value = state.settings.encryptionMethod;
+    updateBatchPassword();
+    initializeEventListeners();
+    initializeServiceWorker();
+    
+    // Items sent from the OS are added after the saved rows they may replace
+    restoreSession().then(() => {
+        receiveSharedFiles();
+        receiveLaunchedFiles();
+    });
+};
+
 // Initialize the application when DOM is ready
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeEventListeners);
+    document.addEventListener('DOMContentLoaded', initializeApp);
 } else {
-    initializeEventListeners();
+    initializeApp();
 }
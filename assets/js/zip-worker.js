@@ -0,0 +1,55 @@
+/**
+ * Folder Zipper Worker
+ * Builds folder archives and hashes files off the main thread and reports real progress
+ */
+
+importScripts('jszip.js', 'archive.js');
+
+/**
+ * Minimum time between progress messages in milliseconds
+ * @type {number}
+ */
+const PROGRESS_INTERVAL = 100;
+
+/**
+ * Run one job and post progress, result or error messages
+ * @param {Object} job - Job payload
+ * @param {number} job.jobId - Job ID assigned by the pool
+ * @param {Array<{path: string, file: File, options: Object}>} job.entries - Files, their
+ * paths in the zip and per-file compression options
+ * @param {string[]} [job.directories] - Empty directories to add
+ * @param {boolean} [job.permissions] - Whether to record unix permissions
+ * @param {Object} job.options - JSZip generateAsync options
+ * @param {File} [job.baseArchive] - Existing zip to update instead of building a new one
+ * @param {Object} [job.manifest] - Manifest files to embed
+ * @param {Object} [job.encryption] - Password and encryption method
+ * @param {string} [job.task] - Task from WORKER_TASKS; archives when omitted
+ */
+const runJob = async ({ jobId, ...payload }) => {
+    let lastPost = 0;
+    let lastPercent = -1;
+
+    const result = await runWorkerTask(payload, (percent, currentFile) => {
+        const now = Date.now();
+        if (percent === lastPercent && now - lastPost < PROGRESS_INTERVAL) return;
+
+        lastPost = now;
+        lastPercent = percent;
+        self.postMessage({ type: 'progress', jobId, percent, currentFile });
+    });
+
+    self.postMessage({ type: 'complete', jobId, result });
+};
+
+self.addEventListener('message', (event) => {
+    runJob(event.data).catch(error => {
+        self.postMessage({
+            type: 'error',
+            jobId: event.data.jobId,
+            message: error?.message || String(error)
+        });
+    });
+});
+
+// Scripts loaded: errors from now on belong to jobs, not to a worker that cannot start
+self.postMessage({ type: 'ready' });
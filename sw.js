@@ -0,0 +1,220 @@
+/**
+ * Folder Zipper Service Worker
+ * Caches the app for offline use, receives files shared from the OS and
+ * streams archives to the browser's download manager when the
+ * File System Access API is not available
+ */
+
+/**
+ * Cache version. Bump it whenever an asset changes so installed copies
+ * download the new files and offer the update.
+ * @type {string}
+ */
+const CACHE_VERSION = 'v3';
+
+/**
+ * Prefix shared by every asset cache this worker has created
+ * @type {string}
+ */
+const CACHE_PREFIX = 'folder-zipper-';
+
+/**
+ * Name of the cache holding the current assets
+ * @type {string}
+ */
+const ASSET_CACHE = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+/**
+ * Everything the app needs to run offline, relative to this worker
+ * @type {string[]}
+ */
+const ASSET_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'assets/css/style.css',
+    'assets/js/jszip.js',
+    'assets/js/archive.js',
+    'assets/js/script.js',
+    'assets/js/zip-worker.js',
+    'assets/images/folder_icon.png',
+    'assets/images/folder_icon_zipped.png',
+    'assets/images/folder_icon_zipped_192.png',
+    'assets/images/folder_icon_zipped_512.png',
+    'assets/images/folder_icon_zipped_maskable.png',
+    'assets/images/zip_icon.svg'
+];
+
+/**
+ * Query parameter of the manifest's share_target action
+ * @type {string}
+ */
+const SHARE_TARGET_PARAM = 'share-target';
+
+/**
+ * URL path segment that identifies streamed downloads
+ * @type {string}
+ */
+const STREAM_DOWNLOAD_PATH = 'stream-download/';
+
+/**
+ * Downloads registered by the page and waiting for their request
+ * @type {Map<string, {filename: string, mimeType: string, port: MessagePort}>}
+ */
+const pendingDownloads = new Map();
+
+/**
+ * Files from the last share, read from the share_target form post
+ * @type {Promise<File[]>}
+ */
+let sharedFiles = Promise.resolve([]);
+
+/**
+ * Build an attachment Content-Disposition header for a filename
+ * @param {string} filename - Download filename
+ * @returns {string} - Header value
+ */
+const contentDisposition = (filename) => {
+    const asciiName = filename.replace(/[^\x20-\x7e]/g, '_').replace(/"/g, '');
+    return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+/**
+ * Create a response whose body is pulled chunk by chunk from the page.
+ * Each pull asks the page for one chunk, which keeps memory bounded.
+ * @param {Object} download - Registered download
+ * @returns {Response} - Streaming download response
+ */
+const createDownloadResponse = ({ filename, mimeType, port }) => {
+    const body = new ReadableStream({
+        pull: (controller) => new Promise(resolve => {
+            port.onmessage = ({ data }) => {
+                if (data.done) {
+                    controller.close();
+                } else if (data.error) {
+                    controller.error(new Error(data.error));
+                } else {
+                    controller.enqueue(data.chunk);
+                }
+                resolve();
+            };
+            port.postMessage({ type: 'pull' });
+        }),
+        cancel: () => port.postMessage({ type: 'cancel' })
+    }, { highWaterMark: 1 });
+
+    return new Response(body, {
+        headers: {
+            'Content-Type': mimeType || 'application/octet-stream',
+            'Content-Disposition': contentDisposition(filename)
+        }
+    });
+};
+
+/**
+ * Download every asset into the current cache. Requests bypass the HTTP
+ * cache so a new version never stores stale files.
+ * @returns {Promise<void>}
+ */
+const cacheAssets = async () => {
+    const cache = await caches.open(ASSET_CACHE);
+    await cache.addAll(ASSET_URLS.map(url => new Request(url, { cache: 'reload' })));
+};
+
+/**
+ * Delete the caches of earlier versions
+ * @returns {Promise<void>}
+ */
+const deleteOldCaches = async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== ASSET_CACHE)
+        .map(name => caches.delete(name))
+    );
+};
+
+/**
+ * Answer from the asset cache, falling back to the network. Navigations
+ * ignore the query string so every app URL opens the cached page.
+ * @param {Request} request - Same-origin GET request
+ * @returns {Promise<Response>} - Cached or network response
+ */
+const respondFromCache = async (request) => {
+    const cached = await caches.match(request, {
+        cacheName: ASSET_CACHE,
+        ignoreSearch: request.mode === 'navigate'
+    });
+    return cached || fetch(request);
+};
+
+/**
+ * Keep the files of a share_target post and send the page to the app,
+ * which asks for them once it has loaded
+ * @param {FetchEvent} event - Share target form post
+ */
+const receiveSharedFiles = (event) => {
+    sharedFiles = event.request.formData()
+        .then(data => data.getAll('files').filter(file => file instanceof File))
+        .catch(() => []);
+
+    event.waitUntil(sharedFiles);
+    const appUrl = new URL(`./?${SHARE_TARGET_PARAM}`, self.registration.scope);
+    event.respondWith(Response.redirect(appUrl.href, 303));
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(cacheAssets());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(deleteOldCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+    switch (event.data?.type) {
+        case 'register-download': {
+            const { id, filename, mimeType } = event.data;
+            const [port] = event.ports;
+            pendingDownloads.set(id, { filename, mimeType, port });
+            port.postMessage({ type: 'registered' });
+            break;
+        }
+        case 'get-shared-files': {
+            const [port] = event.ports;
+            event.waitUntil(sharedFiles.then(files => {
+                sharedFiles = Promise.resolve([]);
+                port.postMessage({ files });
+            }));
+            break;
+        }
+        case 'skip-waiting':
+            self.skipWaiting();
+            break;
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    const marker = url.pathname.lastIndexOf(`/${STREAM_DOWNLOAD_PATH}`);
+    if (marker >= 0) {
+        const id = url.pathname.slice(marker + STREAM_DOWNLOAD_PATH.length + 1);
+        const download = pendingDownloads.get(id);
+        if (!download) return;
+
+        pendingDownloads.delete(id);
+        event.respondWith(createDownloadResponse(download));
+        return;
+    }
+
+    if (request.method === 'POST' && url.searchParams.has(SHARE_TARGET_PARAM)) {
+        receiveSharedFiles(event);
+        return;
+    }
+
+    if (request.method === 'GET') {
+        event.respondWith(respondFromCache(request));
+    }
+});